@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * gs-gpl-utils asset manifest - SHA-256 and size of every app-shell file plus component versions
+ * Run before deploying: sw.js verifies downloads and cached files against asset-manifest.json and names its cache after it.
+ * index.html registers sw.js?v=<version>, so a new manifest installs a new service worker without touching sw.js.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import loadWASM from './gs.js';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const MANIFEST_FILE = 'asset-manifest.json';
+
+// Everything the page needs offline; sw.js itself is fetched by the browser on every registration update
+const APP_SHELL = [
+    'index.html',
+    'pdfapi.js',
+    'pdfcore.js',
+    'compress-worker.js',
+    'gs-engine.js',
+    'gs.js',
+    'gs.wasm',
+    'manifest.webmanifest',
+    'icon.svg',
+    'vendor/pdfjs/pdf.min.js',
+    'vendor/pdfjs/pdf.worker.min.js',
+    'vendor/tailwind/tailwind.min.css'
+];
+
+// The minified stylesheet carries no version banner; keep in step with the rebuild command in the README
+const TAILWIND_VERSION = '3.4.17';
+
+function sha256(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+// What `gs --version` prints for the bundled gs.wasm
+async function ghostscriptVersion() {
+    const lines = [];
+    const gs = await loadWASM({ print: (text) => lines.push(text), printErr: () => {} });
+    gs.callMain(['--version']);
+    return lines.join('').trim();
+}
+
+async function pdfjsVersion() {
+    const source = await readFile(path.join(ROOT, 'vendor/pdfjs/pdf.min.js'), 'utf8');
+    return source.match(/const version="([^"]+)"/)?.[1] ?? 'unknown';
+}
+
+async function hashFiles() {
+    const files = {};
+    for (const file of APP_SHELL) {
+        const data = await readFile(path.join(ROOT, file));
+        files[file] = { sha256: sha256(data), size: data.length };
+    }
+    return files;
+}
+
+// Any changed file (or version) gives a new manifest version, and with it a new cache name
+function manifestVersion(files, components) {
+    const lines = Object.entries(files).map(([file, entry]) => `${file} ${entry.sha256}`);
+    return sha256([...lines, JSON.stringify(components)].join('\n')).slice(0, 12);
+}
+
+async function main() {
+    const pkg = JSON.parse(await readFile(path.join(ROOT, 'package.json'), 'utf8'));
+    const components = {
+        app: pkg.version,
+        ghostscript: await ghostscriptVersion(),
+        pdfjs: await pdfjsVersion(),
+        tailwind: TAILWIND_VERSION
+    };
+    const files = await hashFiles();
+    const version = manifestVersion(files, components);
+
+    const manifest = { version, generated: new Date().toISOString(), components, files };
+    await writeFile(path.join(ROOT, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+
+    console.log(`${MANIFEST_FILE}: version ${version}, ${APP_SHELL.length} files`);
+    console.log(`Ghostscript ${components.ghostscript}, PDF.js ${components.pdfjs}, Tailwind ${components.tailwind}`);
+}
+
+main().catch((err) => {
+    console.error(`build-manifest: ${err.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+/**
+ * gs-gpl-utils CLI - compress PDFs and render pages to images from Node.js
+ * Uses the same GhostscriptEngine and quality presets as the web UI, so outputs match byte for byte
+ */
+
+import { existsSync } from 'node:fs';
+import { readFile, writeFile, readdir, stat, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+    GhostscriptEngine, QUALITY_PRESETS, COLOR_MODES, PDFA_POLICIES, PDF_PERMISSIONS, RASTER_FORMATS,
+    parseQuality, pdfaReport, renderedPages
+} from './gs-engine.js';
+
+const VERSION = '1.0.0';
+
+const DEFAULT_PERMISSIONS = 'print,printHighQuality,accessibility';
+
+const HELP = `Usage: gs-gpl-utils compress <input...> [options]
+       gs-gpl-utils images <input...> [options]
+
+Inputs may be PDF files, directories or quoted glob patterns ("scans/**/*.pdf").
+
+Options:
+  -q, --quality <name>     ${Object.keys(QUALITY_PRESETS).join(' | ')} (default: medium)
+  -o, --output <path>      Output file (single input) or directory; images always go to a directory
+      --dpi <n>            Custom target DPI (switches to custom quality)
+      --jpeg-quality <n>   Custom JPEG quality, 1-100
+      --downsample <type>  Bicubic | Average | Subsample
+      --color-res <n>      Custom color image DPI
+      --gray-res <n>       Custom gray image DPI
+      --mono-res <n>       Custom mono image DPI
+      --max-size <size>    Best quality under a size limit, e.g. 2MB or 500KB
+      --color <mode>       ${COLOR_MODES.join(' | ')} (default: color)
+      --threshold <n>      Black & white cut-off in percent for --color mono (default: 50)
+      --pdfa               Convert to PDF/A-2b and print a conformance report
+      --pdfa-policy <p>    ${Object.keys(PDFA_POLICIES).join(' | ')}: what to do with content PDF/A does not allow (default: drop)
+      --password <pw>      Password to open encrypted inputs
+      --user-password <pw> Encrypt the output; password needed to open it
+      --owner-password <pw>
+                           Encrypt the output; password needed to change its permissions
+      --permissions <list> Allowed actions on encrypted output, comma separated (default: ${DEFAULT_PERMISSIONS}):
+                           ${Object.keys(PDF_PERMISSIONS).join(', ')}
+      --title <text>       Set the document title (likewise --author, --subject, --keywords)
+      --scrub-metadata     Clear document info, XMP metadata, dates and the file ID (set values are kept)
+
+Image options (images command; --dpi, --jpeg-quality and --password apply too):
+      --format <name>      ${Object.keys(RASTER_FORMATS).join(' | ')} (default: png); tiff is G4 with all pages in one file
+      --pages <list>       Pages to render, e.g. 1,3-5,10- (default: all)
+
+Common options:
+  -r, --recursive          Include subdirectories of directory inputs
+  -v, --verbose            Log Ghostscript arguments to stderr
+  -h, --help               Show this help
+      --version            Show version
+`;
+
+const OPTIONS = {
+    quality: { type: 'string', short: 'q', default: 'medium' },
+    output: { type: 'string', short: 'o' },
+    dpi: { type: 'string' },
+    'jpeg-quality': { type: 'string' },
+    downsample: { type: 'string' },
+    'color-res': { type: 'string' },
+    'gray-res': { type: 'string' },
+    'mono-res': { type: 'string' },
+    'max-size': { type: 'string' },
+    color: { type: 'string', default: 'color' },
+    threshold: { type: 'string', default: '50' },
+    pdfa: { type: 'boolean', default: false },
+    'pdfa-policy': { type: 'string', default: 'drop' },
+    password: { type: 'string' },
+    'user-password': { type: 'string' },
+    'owner-password': { type: 'string' },
+    permissions: { type: 'string', default: DEFAULT_PERMISSIONS },
+    title: { type: 'string' },
+    author: { type: 'string' },
+    subject: { type: 'string' },
+    keywords: { type: 'string' },
+    'scrub-metadata': { type: 'boolean', default: false },
+    format: { type: 'string', default: 'png' },
+    pages: { type: 'string' },
+    recursive: { type: 'boolean', short: 'r', default: false },
+    verbose: { type: 'boolean', short: 'v', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    version: { type: 'boolean', default: false }
+};
+
+// ============================================================================= //
+// HELPERS
+// ============================================================================= //
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// "2MB", "500 KB", "1.5mb", "1048576" -> bytes (1024-based, like the web UI)
+function parseSize(text) {
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(text).trim());
+    if (!match) throw new Error(`Invalid size: ${text}`);
+    const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+    return Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+function isPDFPath(file) {
+    return file.toLowerCase().endsWith('.pdf');
+}
+
+function hasGlob(pattern) {
+    return /[*?[]/.test(pattern);
+}
+
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '*' && pattern[i + 1] === '*') {
+            // "**/" matches zero or more directories
+            source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += pattern[i + 2] === '/' ? 2 : 1;
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else {
+            source += c.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+async function walk(dir, recursive) {
+    const files = [];
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) files.push(...await walk(full, recursive));
+        } else if (entry.isFile()) {
+            files.push(full);
+        }
+    }
+    return files;
+}
+
+// File, directory or glob pattern -> list of PDF paths
+async function expandInput(input, recursive) {
+    if (existsSync(input)) {
+        const info = await stat(input);
+        if (!info.isDirectory()) return [input];
+        return (await walk(input, recursive)).filter(isPDFPath).sort();
+    }
+
+    if (!hasGlob(input)) throw new Error(`No such file or directory: ${input}`);
+
+    // Walk from the deepest directory that contains no glob characters
+    const pattern = input.split(path.sep).join('/');
+    const segments = pattern.split('/');
+    const firstGlob = segments.findIndex(hasGlob);
+    const base = segments.slice(0, firstGlob).join('/') || '.';
+    const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+    const deep = segments.length - firstGlob > 1 || pattern.includes('**');
+
+    if (!existsSync(base)) return [];
+    return (await walk(base, deep))
+        .filter(file => matcher.test(path.relative(base, file).split(path.sep).join('/')))
+        .filter(isPDFPath)
+        .sort();
+}
+
+async function collectFiles(inputs, recursive) {
+    const files = [];
+    for (const input of inputs) {
+        const matches = await expandInput(input, recursive);
+        if (!matches.length) console.error(`Warning: no PDF files match ${input}`);
+        files.push(...matches);
+    }
+    return files;
+}
+
+function checkWasm() {
+    const wasmPath = fileURLToPath(new URL('./gs.wasm', import.meta.url));
+    if (!existsSync(wasmPath)) {
+        throw new Error(`gs.wasm not found at ${wasmPath} (copy it from @okathira/ghostpdl-wasm next to gs.js)`);
+    }
+}
+
+// ============================================================================= //
+// COMPRESS COMMAND
+// ============================================================================= //
+function customSettingsFrom(values) {
+    const keys = ['dpi', 'jpeg-quality', 'downsample', 'color-res', 'gray-res', 'mono-res'];
+    if (!keys.some(key => values[key] !== undefined)) return null;
+
+    return {
+        dpi: values.dpi,
+        jpegQuality: values['jpeg-quality'],
+        downsampleType: values.downsample,
+        colorResolution: values['color-res'],
+        grayResolution: values['gray-res'],
+        monoResolution: values['mono-res']
+    };
+}
+
+// --title/--author/--subject/--keywords and --scrub-metadata -> { info, scrub } or null
+function metadataFrom(values) {
+    const info = {};
+    for (const key of ['title', 'author', 'subject', 'keywords']) {
+        if (values[key] !== undefined) info[key[0].toUpperCase() + key.slice(1)] = values[key];
+    }
+    const scrub = values['scrub-metadata'];
+    return scrub || Object.keys(info).length ? { info, scrub } : null;
+}
+
+function outputPathFor(input, output, isSingle, usedPaths) {
+    if (output && isSingle && isPDFPath(output)) return output;
+
+    const dir = output || path.dirname(input);
+    const base = path.basename(input, path.extname(input));
+    let candidate = path.join(dir, `${base}_compressed.pdf`);
+    for (let n = 2; usedPaths.has(candidate); n++) {
+        candidate = path.join(dir, `${base}_compressed (${n}).pdf`);
+    }
+    usedPaths.add(candidate);
+    return candidate;
+}
+
+async function compressCommand(inputs, values) {
+    if (!inputs.length) throw new Error('No input files given');
+
+    const custom = customSettingsFrom(values);
+    const quality = custom ? 'custom' : values.quality;
+    if (!custom && !(quality in QUALITY_PRESETS)) {
+        throw new Error(`Unknown quality "${quality}" (expected ${Object.keys(QUALITY_PRESETS).join(', ')})`);
+    }
+    const settings = parseQuality(quality, custom);
+    const maxBytes = values['max-size'] ? parseSize(values['max-size']) : null;
+    if (!COLOR_MODES.includes(values.color)) {
+        throw new Error(`Unknown color mode "${values.color}" (expected ${COLOR_MODES.join(', ')})`);
+    }
+    if (!(values['pdfa-policy'] in PDFA_POLICIES)) {
+        throw new Error(`Unknown PDF/A policy "${values['pdfa-policy']}" (expected ${Object.keys(PDFA_POLICIES).join(', ')})`);
+    }
+    const encrypt = values['user-password'] || values['owner-password'] ? {
+        userPassword: values['user-password'] ?? '',
+        ownerPassword: values['owner-password'] ?? '',
+        permissions: values.permissions.split(',').map(name => name.trim()).filter(Boolean)
+    } : null;
+    const unknown = encrypt?.permissions.find(name => !(name in PDF_PERMISSIONS));
+    if (unknown) {
+        throw new Error(`Unknown permission "${unknown}" (expected ${Object.keys(PDF_PERMISSIONS).join(', ')})`);
+    }
+    const options = {
+        colorMode: values.color,
+        threshold: Number(values.threshold),
+        pdfa: values.pdfa ? values['pdfa-policy'] : null,
+        password: values.password ?? null,
+        encrypt,
+        metadata: metadataFrom(values)
+    };
+
+    const files = await collectFiles(inputs, values.recursive);
+    if (!files.length) throw new Error('No PDF files to compress');
+
+    const isSingle = files.length === 1;
+    if (values.output && !isSingle && isPDFPath(values.output)) {
+        throw new Error('--output must be a directory when compressing several files');
+    }
+    // Nothing is created on disk without an engine to fill it
+    checkWasm();
+    if (values.output && !(isSingle && isPDFPath(values.output))) {
+        await mkdir(values.output, { recursive: true });
+    }
+
+    const engine = new GhostscriptEngine({ log: values.verbose ? console.error : () => {} });
+    const usedPaths = new Set();
+    let failures = 0;
+
+    for (const file of files) {
+        const target = outputPathFor(file, values.output, isSingle, usedPaths);
+        try {
+            const input = await readFile(file);
+            let output;
+            // Messages and warnings of the run that wrote output (the best attempt for --max-size)
+            let diagnostics = engine;
+
+            if (maxBytes) {
+                const result = await engine.compressToSize(input, maxBytes, (attempt) => {
+                    if (values.verbose) {
+                        console.error(`  ${attempt.dpi} DPI, JPEG ${attempt.jpegQuality}: ${formatFileSize(attempt.size)}${attempt.fits ? ' (fits)' : ''}`);
+                    }
+                }, options);
+                if (!result.output) {
+                    const smallest = Math.min(...result.attempts.map(a => a.size));
+                    throw new Error(`cannot fit under ${formatFileSize(maxBytes)} (smallest result: ${formatFileSize(smallest)})`);
+                }
+                output = result.output;
+                diagnostics = result;
+            } else {
+                output = await engine.compressOrOriginal(input, settings, options);
+            }
+
+            const report = options.pdfa ? pdfaReport(diagnostics.messages, output) : null;
+            if (report?.aborted) {
+                throw new Error(`PDF/A conversion aborted\n${report.issues.map(issue => `    ${issue.text}`).join('\n')}`);
+            }
+
+            await writeFile(target, output);
+            const saved = ((input.length - output.length) / input.length * 100).toFixed(1);
+            console.log(`✓ ${file} → ${target}  ${formatFileSize(input.length)} → ${formatFileSize(output.length)} (${saved}% saved)`);
+            if (report) {
+                console.log(report.conforms ? `  PDF/A-${report.part}${report.conformance.toLowerCase()}` : '  Not PDF/A (saved as a normal PDF)');
+                report.issues.forEach(issue => console.log(`    ${issue.level}: ${issue.text}`));
+            }
+            diagnostics.warnings.forEach(warning => console.log(`  warning: ${warning.message}`));
+        } catch (err) {
+            failures++;
+            console.error(`✗ ${file}: ${err.message}`);
+            // Diagnosed causes; -v also prints the full Ghostscript output as it runs
+            err.errors?.forEach(error => console.error(`    ${error.code}: ${error.detail}`));
+        }
+    }
+
+    return failures;
+}
+
+// ============================================================================= //
+// IMAGES COMMAND
+// ============================================================================= //
+async function imagesCommand(inputs, values) {
+    if (!inputs.length) throw new Error('No input files given');
+
+    const raster = RASTER_FORMATS[values.format];
+    if (!raster) {
+        throw new Error(`Unknown image format "${values.format}" (expected ${Object.keys(RASTER_FORMATS).join(', ')})`);
+    }
+    const options = {
+        dpi: values.dpi ?? 150,
+        pageList: values.pages ?? null,
+        jpegQuality: values['jpeg-quality'] ?? 85,
+        password: values.password ?? null
+    };
+
+    const files = await collectFiles(inputs, values.recursive);
+    if (!files.length) throw new Error('No PDF files to render');
+    checkWasm();
+    if (values.output) await mkdir(values.output, { recursive: true });
+
+    const engine = new GhostscriptEngine({ log: values.verbose ? console.error : () => {} });
+    let failures = 0;
+
+    for (const file of files) {
+        const dir = values.output || path.dirname(file);
+        const base = path.basename(file, path.extname(file));
+        try {
+            const outputs = await engine.rasterize(await readFile(file), values.format, options);
+            if (!outputs.length) throw new Error(`no pages match "${options.pageList}"`);
+
+            // report_page_007.png - named by page number, zero-padded so the files sort in page order
+            const pages = renderedPages(engine.messages);
+            const width = String(Math.max(...pages, outputs.length)).length;
+            const targets = raster.multipage
+                ? [path.join(dir, `${base}.${raster.extension}`)]
+                : outputs.map((_, i) => path.join(dir, `${base}_page_${String(pages[i] ?? i + 1).padStart(width, '0')}.${raster.extension}`));
+
+            for (let i = 0; i < outputs.length; i++) {
+                await writeFile(targets[i], outputs[i]);
+            }
+            const total = outputs.reduce((sum, output) => sum + output.length, 0);
+            const described = raster.multipage ? `${targets[0]} (${pages.length} pages)` : `${outputs.length} images in ${dir}`;
+            console.log(`✓ ${file} → ${described}  ${formatFileSize(total)}`);
+            engine.warnings.forEach(warning => console.log(`  warning: ${warning.message}`));
+        } catch (err) {
+            failures++;
+            console.error(`✗ ${file}: ${err.message}`);
+            err.errors?.forEach(error => console.error(`    ${error.code}: ${error.detail}`));
+        }
+    }
+
+    return failures;
+}
+
+// ============================================================================= //
+// ENTRY POINT
+// ============================================================================= //
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+    if (values.version) {
+        console.log(VERSION);
+        return 0;
+    }
+
+    const [command, ...inputs] = positionals;
+    if (values.help || !command) {
+        console.log(HELP);
+        return values.help ? 0 : 1;
+    }
+
+    const commands = { compress: compressCommand, images: imagesCommand };
+    if (!commands[command]) {
+        throw new Error(`Unknown command "${command}"\n\n${HELP}`);
+    }
+
+    const failures = await commands[command](inputs, values);
+    return failures ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+    .then((code) => { process.exitCode = code; })
+    .catch((err) => {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+    });
@@ -1,161 +1,186 @@
 /**
  * PDF Compression Worker - Ghostscript WASM Engine
- * Clean OOP implementation for background PDF compression
+ * Clean OOP implementation for background PDF compression (engine lives in gs-engine.js)
  */
 
-import loadWASM from './gs.js';
+import { GhostscriptEngine, parseQuality, pdfaReport } from './gs-engine.js';
 
-class GhostscriptEngine {
+class PDFCompressionWorker {
     constructor() {
-        this.module = null;
-        this.inputFile = 'input.pdf';
-        this.outputFile = 'output.pdf';
-        this.compressionCount = 0;
+        this.engine = new GhostscriptEngine();
+        this.listen();
     }
 
-    async init(forceReinit = false) {
-        // Reinitialize every 3 compressions to prevent WASM state corruption
-        if (forceReinit || !this.module || this.compressionCount >= 3) {
-            console.log('Initializing Ghostscript WASM module...');
-            this.module = await loadWASM();
-            this.compressionCount = 0;
-        }
-        return this;
+    // Inputs arrive as Blobs (shared, not copied) or ArrayBuffers
+    byteSize(data) {
+        return data instanceof Blob ? data.size : data.byteLength;
     }
 
-    buildArgs(quality) {
-        const args = ['-sDEVICE=pdfwrite', '-dCompatibilityLevel=1.4'];
-        
-        if (typeof quality === 'number') {
-            args.push(
-                `-r${quality}`,
-                // Only downsample if image resolution is HIGHER than target (never upsample)
-                '-dDownsampleColorImages=true',
-                '-dDownsampleGrayImages=true',
-                '-dDownsampleMonoImages=true',
-                '-dColorImageDownsampleType=/Bicubic',
-                '-dGrayImageDownsampleType=/Bicubic',
-                '-dMonoImageDownsampleType=/Bicubic',
-                `-dColorImageResolution=${quality}`,
-                `-dGrayImageResolution=${quality}`,
-                `-dMonoImageResolution=${quality}`,
-                // Threshold: only downsample if image DPI > target DPI * 1.0 (i.e., always downsample higher res)
-                `-dColorImageDownsampleThreshold=1.0`,
-                `-dGrayImageDownsampleThreshold=1.0`,
-                `-dMonoImageDownsampleThreshold=1.0`,
-                // Prevent encoding changes that increase size
-                '-dAutoFilterColorImages=false',
-                '-dAutoFilterGrayImages=false',
-                '-dColorImageFilter=/DCTEncode',
-                '-dGrayImageFilter=/DCTEncode',
-                // Compress streams
-                '-dCompressPages=true',
-                '-dCompressFonts=true'
-            );
-        }
-        
-        args.push(
-            '-dPDFSETTINGS=/printer',
-            '-dNOPAUSE', '-dQUIET', '-dBATCH',
-            `-sOutputFile=${this.outputFile}`,
-            this.inputFile
-        );
-        
-        console.log('Ghostscript args for DPI', quality, ':', args);
-        return args;
+    // Engine outputs are Uint8Arrays over their own buffer, or the input Blob when it is returned unchanged
+    transferable(output) {
+        if (output instanceof Blob) return output;
+        const exact = output.byteOffset === 0 && output.byteLength === output.buffer.byteLength;
+        return exact ? output.buffer : output.slice().buffer;
     }
 
-    compress(pdfData, quality) {
-        console.log('Compressing with DPI:', quality);
-        this.module.FS.writeFile(this.inputFile, new Uint8Array(pdfData));
-        
-        try {
-            this.module.callMain(this.buildArgs(quality));
-            const output = this.module.FS.readFile(this.outputFile, { encoding: 'binary' });
-            
-            // Clean up files
-            try { this.module.FS.unlink(this.inputFile); } catch (e) {}
-            try { this.module.FS.unlink(this.outputFile); } catch (e) {}
-            
-            this.compressionCount++;
-            return output;
-        } catch (err) {
-            // Clean up on error
-            try { this.module.FS.unlink(this.inputFile); } catch (e) {}
-            try { this.module.FS.unlink(this.outputFile); } catch (e) {}
-            
-            // Force reinit on next compression
-            this.compressionCount = 999;
-            throw err;
-        }
+    // ArrayBuffers in the message are transferred to the page instead of copied
+    post(message) {
+        const buffers = [message.output, ...(message.parts ?? [])].filter(data => data instanceof ArrayBuffer);
+        self.postMessage(message, buffers);
     }
-}
 
-class PDFCompressionWorker {
-    constructor() {
-        this.engine = new GhostscriptEngine();
-        this.listen();
+    // warnings and messages default to the engine's last run; a target size search passes those of its best run
+    createResult(messageId, output, originalSize, warnings = this.engine.warnings) {
+        return {
+            messageId,
+            status: 'success',
+            output: this.transferable(output),
+            originalSize,
+            compressedSize: output.length ?? output.byteLength ?? output.size,
+            // Non-fatal problems Ghostscript repaired or worked around (see diagnose in gs-engine.js)
+            warnings
+        };
     }
 
-    async fetchPDF(blobURL) {
-        const response = await fetch(blobURL);
-        const buffer = await response.arrayBuffer();
-        self.URL.revokeObjectURL(blobURL);
-        return buffer;
+    // PDF/A runs report conformance; an aborted conversion is an error even though Ghostscript wrote a file
+    postResult(result, output, options, messages = this.engine.messages) {
+        if (!options.pdfa) {
+            this.post(result);
+            return;
+        }
+
+        const report = pdfaReport(messages, output);
+        if (report.aborted) {
+            self.postMessage({
+                messageId: result.messageId,
+                status: 'error',
+                code: 'PDFA_ABORTED',
+                error: 'PDF/A conversion aborted: the document contains content PDF/A does not allow',
+                report,
+                log: messages
+            });
+            return;
+        }
+        this.post({ ...result, report });
     }
 
-    parseQuality(quality, customDPI) {
-        const qualityMap = {
-            'low': 100,
-            'medium': 150,
-            'fair': 180,
-            'good': 200,
-            'high': 250,
-            'original': 'original'
-        };
-        
-        return qualityMap[quality] ?? 150;
+    async processTarget(messageId, input, targetSize, options) {
+        const maxBytes = Number(targetSize);
+        if (!(maxBytes > 0)) throw new Error(`Invalid target size: ${targetSize}`);
+
+        const { output, settings, attempts, messages, warnings } = await this.engine.compressToSize(
+            input,
+            maxBytes,
+            (attempt) => self.postMessage({ messageId, status: 'attempt', attempt }),
+            options
+        );
+
+        if (!output) {
+            const smallestSize = Math.min(...attempts.map(a => a.size));
+            self.postMessage({
+                messageId,
+                status: 'error',
+                code: 'TARGET_UNREACHABLE',
+                error: `No setting fits under ${maxBytes} bytes (smallest result: ${smallestSize} bytes)`,
+                attempts,
+                smallestSize
+            });
+            return;
+        }
+
+        const result = this.createResult(messageId, output, this.byteSize(input), warnings);
+        this.postResult({ ...result, settings, attempts }, output, options, messages);
     }
 
-    createResult(messageId, output, originalSize) {
-        const blob = new Blob([output], { type: 'application/pdf' });
-        return {
+    async processMerge(messageId, inputs, quality, customDPI, passwords) {
+        const totalSize = inputs.reduce((sum, data) => sum + this.byteSize(data), 0);
+        const output = await this.engine.merge(inputs, parseQuality(quality, customDPI), { passwords });
+        this.post(this.createResult(messageId, output, totalSize));
+    }
+
+    // One output per part, in order
+    postParts(messageId, outputs, originalSize) {
+        this.post({
             messageId,
             status: 'success',
-            compressedURL: self.URL.createObjectURL(blob),
+            parts: outputs.map(output => this.transferable(output)),
             originalSize,
-            compressedSize: output.length || output.byteLength
-        };
+            compressedSize: outputs.reduce((sum, output) => sum + output.byteLength, 0),
+            warnings: this.engine.warnings
+        });
+    }
+
+    async processSplit(messageId, input, pageLists, quality, customDPI, password) {
+        const outputs = await this.engine.split(input, pageLists, parseQuality(quality, customDPI), { password });
+        this.postParts(messageId, outputs, this.byteSize(input));
+    }
+
+    // Images go back as parts like split output, one per page (a single part for multipage TIFF)
+    async processRasterize(messageId, input, format, options) {
+        const outputs = await this.engine.rasterize(input, format, options);
+        this.postParts(messageId, outputs, this.byteSize(input));
     }
 
-    async process({ messageId, psDataURL, quality, customDPI }) {
+    async process({
+        messageId, action = 'compress', input, inputs, quality, customDPI, targetSize, pageLists,
+        format = 'png', dpi = 150, pageList = null, jpegQuality = 85,
+        pages = null, colorMode = 'color', threshold = 50, pdfa = null, password = null, passwords = null, encrypt = null,
+        metadata = null
+    }) {
+        // Page N of M for the running Ghostscript pass; elapsed counts from the start of the job
+        const started = performance.now();
+        this.engine.onProgress = (progress) => self.postMessage({
+            messageId,
+            status: 'progress',
+            progress: { ...progress, elapsed: Math.round(performance.now() - started) }
+        });
+
         try {
-            const buffer = await this.fetchPDF(psDataURL);
-            const originalData = new Uint8Array(buffer);
-            const parsedQuality = this.parseQuality(quality, customDPI);
-            
-            console.log(`Processing messageId=${messageId}, quality=${quality}, DPI=${parsedQuality}`);
-            
-            // Skip compression for "original" - return file as-is
-            if (parsedQuality === 'original') {
-                self.postMessage(this.createResult(messageId, originalData, buffer.byteLength));
+            if (action === 'merge') {
+                await this.processMerge(messageId, inputs, quality, customDPI, passwords);
                 return;
             }
-            
-            await this.engine.init();
-            const output = this.engine.compress(buffer, parsedQuality);
-            
-            // If compressed is LARGER than original, use original instead
-            const compressedSize = output.length || output.byteLength;
-            if (compressedSize >= buffer.byteLength) {
-                console.log(`Compressed (${compressedSize}) >= Original (${buffer.byteLength}), using original`);
-                self.postMessage(this.createResult(messageId, originalData, buffer.byteLength));
+
+            if (action === 'split') {
+                await this.processSplit(messageId, input, pageLists, quality, customDPI, password);
+                return;
+            }
+
+            // PostScript/EPS comes back as a PDF for the preview and preset flow
+            if (action === 'convert') {
+                const output = await this.engine.convertPostScript(input);
+                this.post(this.createResult(messageId, output, this.byteSize(input)));
+                return;
+            }
+
+            if (action === 'rasterize') {
+                await this.processRasterize(messageId, input, format, { dpi, pageList, jpegQuality, password });
                 return;
             }
+
+            // Page editor sequence, color and PDF/A conversion, input password, output encryption and metadata
+            const options = { pages, colorMode, threshold, pdfa, password, encrypt, metadata };
+
+            if (quality === 'target') {
+                await this.processTarget(messageId, input, targetSize, options);
+                return;
+            }
+
+            const parsedQuality = parseQuality(quality, customDPI);
             
-            self.postMessage(this.createResult(messageId, output, buffer.byteLength));
+            // "original" and outputs that grow come back as the input bytes
+            const output = await this.engine.compressOrOriginal(input, parsedQuality, options);
+            this.postResult(this.createResult(messageId, output, this.byteSize(input)), output, options);
         } catch (err) {
-            self.postMessage({ messageId, status: 'error', error: `Compression failed: ${err.message}` });
+            // Engine errors carry the diagnosed causes and the captured Ghostscript output
+            self.postMessage({
+                messageId,
+                status: 'error',
+                code: err.code ?? 'COMPRESSION_FAILED',
+                error: `Compression failed: ${err.message}`,
+                errors: err.errors ?? [],
+                log: err.log ?? []
+            });
         }
     }
 
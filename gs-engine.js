@@ -0,0 +1,871 @@
+/**
+ * Ghostscript Engine - shared by the browser worker and the Node.js CLI
+ * Builds pdfwrite and raster device arguments and runs the WASM module
+ */
+
+import loadWASM from './gs.js';
+
+export const DOWNSAMPLE_TYPES = ['Bicubic', 'Average', 'Subsample'];
+
+// color keeps the source colors, gray converts everything to DeviceGray, mono thresholds gray to black/white
+export const COLOR_MODES = ['color', 'gray', 'mono'];
+
+// Image export devices; multipage formats collect every page in one file instead of one file per page
+export const RASTER_FORMATS = {
+    'png': { device: 'png16m', extension: 'png', args: ['-dTextAlphaBits=4', '-dGraphicsAlphaBits=4'] },
+    'jpeg': { device: 'jpeg', extension: 'jpg', args: ['-dTextAlphaBits=4', '-dGraphicsAlphaBits=4'] },
+    // The WASM build has no tiffg4 device; the fax device tiffcrle writes CCITT G4 on request
+    'tiff': { device: 'tiffcrle', extension: 'tif', args: ['-sCompression=g4'], multipage: true }
+};
+
+// Target-size search ladder, ordered from smallest output to highest quality
+export const SIZE_SEARCH_STEPS = [
+    { dpi: 50, jpegQuality: 30 },
+    { dpi: 72, jpegQuality: 40 },
+    { dpi: 96, jpegQuality: 50 },
+    { dpi: 110, jpegQuality: 60 },
+    { dpi: 130, jpegQuality: 65 },
+    { dpi: 150, jpegQuality: 70 },
+    { dpi: 180, jpegQuality: 75 },
+    { dpi: 200, jpegQuality: 80 },
+    { dpi: 250, jpegQuality: 85 },
+    { dpi: 300, jpegQuality: 90 }
+];
+
+// Inputs larger than CHUNK_THRESHOLD are compressed in page ranges of about CHUNK_SIZE input bytes each,
+// so pdfwrite never holds the resources of the whole document at once (see compressChunked)
+export const CHUNK_THRESHOLD = 150 * 1024 * 1024;
+export const CHUNK_SIZE = 64 * 1024 * 1024;
+
+// Inputs are bytes (ArrayBuffer, Uint8Array, Buffer) or, in the browser worker, Blobs
+function byteSize(data) {
+    return data instanceof Blob ? data.size : data.byteLength;
+}
+
+// -dPDFACompatibilityPolicy values: what Ghostscript does with content PDF/A does not allow
+export const PDFA_POLICIES = {
+    'drop': 1,      // remove the offending feature (e.g. non-printing annotations) and keep PDF/A
+    'revert': 0,    // keep the content and write a normal PDF instead
+    'abort': 2      // stop the conversion
+};
+
+// Permission bits for encrypted output (ISO 32000-1, table 22); permissions not listed are denied
+export const PDF_PERMISSIONS = {
+    'print': 4,
+    'modify': 8,
+    'copy': 16,
+    'annotate': 32,
+    'fillForms': 256,
+    'accessibility': 512,
+    'assemble': 1024,
+    'printHighQuality': 2048
+};
+
+// -dPermissions value: bits 7-8 and 13-32 must be set, so start from all permission bits cleared
+export function permissionFlags(permissions = []) {
+    return permissions.reduce((flags, name) => {
+        if (!(name in PDF_PERMISSIONS)) throw new Error(`Unknown permission "${name}"`);
+        return flags | PDF_PERMISSIONS[name];
+    }, -3904);
+}
+
+// Info dictionary keys cleared by a metadata scrub (Ghostscript always writes its own Producer)
+export const DOCINFO_KEYS = ['Title', 'Author', 'Subject', 'Keywords', 'Creator'];
+
+// PDF text string as UTF-16BE hex, so any language survives the PostScript round trip
+function pdfTextString(text) {
+    if (!text) return '()';
+    let hex = '<FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+    }
+    return hex + '>';
+}
+
+// DOCINFO pdfmark for { key: value } pairs; keys that are not plain PDF names are skipped
+function docinfoMark(info) {
+    const entries = Object.entries(info)
+        .filter(([key]) => /^[A-Za-z0-9_.-]+$/.test(key))
+        .map(([key, value]) => `/${key} ${pdfTextString(String(value ?? ''))}`);
+    return entries.length ? `[ ${entries.join(' ')} /DOCINFO pdfmark` : null;
+}
+
+// Node 18 has no global crypto in ES modules
+const webcrypto = globalThis.crypto ?? (await import('node:crypto')).webcrypto;
+
+function randomPassword() {
+    return Array.from(webcrypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Known Ghostscript/Emscripten failure messages. Fatal ones fail the run even when Ghostscript exits 0
+// (an encrypted file without its password still produces an empty output).
+export const GS_ERRORS = [
+    { code: 'PASSWORD_REQUIRED', fatal: true, pattern: /requires a password/i,
+        message: 'The PDF is encrypted and needs a password' },
+    { code: 'PASSWORD_INCORRECT', fatal: true, pattern: /Password did not work|Cannot decrypt/i,
+        message: 'The password is incorrect' },
+    { code: 'OUT_OF_MEMORY', fatal: true, pattern: /VMerror|out of memory|\bOOM\b|Cannot enlarge memory/i,
+        message: 'Ghostscript ran out of memory; try a smaller file or fewer pages' },
+    { code: 'UNREADABLE_FILE', fatal: true, pattern: /Unrecoverable error|\/undefined in|\/syntaxerror in|No pages will be processed/i,
+        message: 'Ghostscript could not read the file; it may be damaged or not a PDF/PostScript file' },
+    { code: 'DAMAGED_XREF', fatal: false, pattern: /xref|startxref|trailer/i,
+        message: 'The cross-reference table is damaged and was rebuilt' },
+    { code: 'UNSUPPORTED_FONT', fatal: false, pattern: /^(?!Loading font).*font.*(error|can't|cannot|invalid|unsupported|not found|failed)/i,
+        message: 'A font could not be used and was replaced or skipped' },
+    { code: 'DAMAGED_FILE', fatal: false, pattern: /repaired or ignored|error reading a stream|invalid object|Failed to read/i,
+        message: 'Parts of the file are damaged and were repaired or skipped' }
+];
+
+export const QUALITY_PRESETS = {
+    'low': 100,
+    'medium': 150,
+    'fair': 180,
+    'good': 200,
+    'high': 250,
+    'original': 'original'
+};
+
+export function parseQuality(quality, customDPI) {
+    if (quality === 'custom' && customDPI) {
+        return parseCustomSettings(customDPI);
+    }
+    
+    return QUALITY_PRESETS[quality] ?? 150;
+}
+
+// customDPI: a plain DPI number or { dpi, jpegQuality, downsampleType, colorResolution, grayResolution, monoResolution }
+export function parseCustomSettings(customDPI) {
+    const custom = typeof customDPI === 'object' ? customDPI : { dpi: customDPI };
+    const clamp = (value, min, max, fallback) => {
+        if (value === null || value === undefined || value === '') return fallback;
+        const n = Math.round(Number(value));
+        return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+    };
+
+    const dpi = clamp(custom.dpi, 36, 600, 150);
+    return {
+        dpi,
+        jpegQuality: clamp(custom.jpegQuality, 1, 100, null),
+        downsampleType: DOWNSAMPLE_TYPES.includes(custom.downsampleType) ? custom.downsampleType : 'Bicubic',
+        colorResolution: clamp(custom.colorResolution, 36, 600, dpi),
+        grayResolution: clamp(custom.grayResolution, 36, 600, dpi),
+        monoResolution: clamp(custom.monoResolution, 36, 1200, dpi)
+    };
+}
+
+// Ghostscript's PDFA_def.ps, using the sRGB/sGray profiles built into the WASM ROM as output intent
+function pdfaDefinition(gray) {
+    const [profile, components, condition] = gray ? ['sgray.icc', 1, 'sGray'] : ['srgb.icc', 3, 'sRGB'];
+    return `/ICCProfile (%rom%iccprofiles/${profile}) def` +
+        ' [/_objdef {icc_PDFA} /type /stream /OBJ pdfmark' +
+        ` [{icc_PDFA} << /N ${components} >> /PUT pdfmark` +
+        ' [{icc_PDFA} ICCProfile (r) file /PUT pdfmark' +
+        ' [/_objdef {OutputIntent_PDFA} /type /dict /OBJ pdfmark' +
+        ` [{OutputIntent_PDFA} << /Type /OutputIntent /S /GTS_PDFA1 /DestOutputProfile {icc_PDFA} /OutputConditionIdentifier (${condition}) >> /PUT pdfmark` +
+        ' [{Catalog} << /OutputIntents [ {OutputIntent_PDFA} ] >> /PUT pdfmark';
+}
+
+function bytesInclude(bytes, text) {
+    const first = text.charCodeAt(0);
+    outer: for (let i = bytes.indexOf(first); i !== -1; i = bytes.indexOf(first, i + 1)) {
+        for (let j = 1; j < text.length; j++) {
+            if (bytes[i + j] !== text.charCodeAt(j)) continue outer;
+        }
+        return true;
+    }
+    return false;
+}
+
+// Ghostscript wraps long warnings onto indented continuation lines and prefixes them with its banner
+function joinMessages(messages) {
+    const lines = [];
+    for (const { text } of messages) {
+        if (/^\s/.test(text) && !text.trim().startsWith('****') && lines.length) {
+            lines[lines.length - 1] += ' ' + text.trim();
+        } else if (text.trim()) {
+            lines.push(text.trim().replace(/^GPL Ghostscript [\d.]+:\s*/, ''));
+        }
+    }
+    return lines;
+}
+
+// Match captured messages against GS_ERRORS -> [{ code, fatal, message, detail }], one entry per code
+export function diagnose(messages) {
+    const found = new Map();
+    for (const line of joinMessages(messages)) {
+        const text = line.replace(/^\*+\s*/, '');
+        const known = GS_ERRORS.find(({ pattern }) => pattern.test(text));
+        if (known && !found.has(known.code)) {
+            found.set(known.code, { code: known.code, fatal: known.fatal, message: known.message, detail: text });
+        }
+    }
+    return [...found.values()];
+}
+
+// Page numbers of a raster run in output order, from the "Page 3" line Ghostscript prints per page
+export function renderedPages(messages) {
+    return messages
+        .map(({ text }) => /^Page (\d+)$/.exec(text.trim()))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+}
+
+// Number of pages in a "1,3-5" page list, or null when it has open ranges ("10-") or keywords (even/odd)
+function pageListSize(list) {
+    let count = 0;
+    for (const range of list.split(',')) {
+        const match = /^\s*(\d+)(?:\s*-\s*(\d+))?\s*$/.exec(range);
+        if (!match) return null;
+        count += match[2] ? Math.abs(Number(match[2]) - Number(match[1])) + 1 : 1;
+    }
+    return count;
+}
+
+// Follows the "Processing pages 1 through 12." and "Page 3" lines of a run and reports { page, pages, percent }.
+// Merges print one "Processing pages" line per input, so every input weighs the same in percent until its
+// page count is known. Edited page sequences print no such line and pass their length as pages.
+export class PageProgress {
+    constructor({ documents = 1, pages = null } = {}) {
+        this.documents = Math.max(1, documents);
+        this.fixedPages = pages;
+        this.totals = [];  // page count of every input started so far (null if unknown)
+        this.done = 0;  // pages finished in the current input
+        this.page = 0;  // pages finished over all inputs
+    }
+
+    // Returns the new progress for lines that move it, null for everything else
+    update(text) {
+        const line = text.trim();
+        const processing = /^Processing pages (\d+) through (\d+)\.$/.exec(line) ?? /^Processing pages (.+)\.$/.exec(line);
+        if (processing) {
+            this.totals.push(processing[2] ? Number(processing[2]) - Number(processing[1]) + 1 : pageListSize(processing[1]));
+            this.done = 0;
+            return null;
+        }
+        if (!/^Page \d+$/.test(line)) return null;
+
+        this.done++;
+        this.page++;
+        return this.current();
+    }
+
+    current() {
+        if (this.fixedPages) {
+            return { page: this.page, pages: this.fixedPages, percent: Math.min(100, Math.round(this.page / this.fixedPages * 100)) };
+        }
+        const total = this.totals.at(-1);
+        if (!this.totals.length || this.totals.includes(null)) return { page: this.page, pages: null, percent: null };
+
+        // Finished inputs count fully, the current one by its share of pages
+        const finished = this.totals.length - 1 + Math.min(1, this.done / total);
+        const pages = this.documents === this.totals.length ? this.totals.reduce((sum, n) => sum + n, 0) : null;
+        return { page: this.page, pages, percent: Math.min(100, Math.round(finished / this.documents * 100)) };
+    }
+}
+
+// Turn the messages captured during a PDF/A run into { conforms, part, conformance, aborted, issues: [{ level, text }] }
+export function pdfaReport(messages, output) {
+    const lines = joinMessages(messages);
+    const issues = [];
+    let reverted = false;
+    let aborted = false;
+    for (const line of lines) {
+        const font = /^Loading font (\S+) \(or substitute\) from (.+)$/.exec(line);
+        if (font) {
+            issues.push({ level: 'warning', text: `Font ${font[1]} is not embedded in the source; embedded substitute ${font[2].split('/').pop()}` });
+        } else if (/reverting to normal PDF output/i.test(line)) {
+            reverted = true;
+            issues.push({ level: 'error', text: line });
+        } else if (/aborting conversion/i.test(line)) {
+            aborted = true;
+            issues.push({ level: 'error', text: line });
+        } else if (/PDF\/A|not permitted|will not be present/i.test(line)) {
+            issues.push({ level: 'warning', text: line });
+        } else if (/^\*\*\*\* (Error|Warning)/.test(line)) {
+            issues.push({ level: 'warning', text: line.replace(/^\*+\s*/, '') });
+        }
+    }
+
+    const tagged = Boolean(output) && bytesInclude(output, "pdfaid:part='2'") && bytesInclude(output, '/OutputIntents');
+    return {
+        conforms: tagged && !reverted && !aborted,
+        part: 2,
+        conformance: 'B',
+        aborted,
+        issues
+    };
+}
+
+export class GhostscriptEngine {
+    constructor({ log = console.log } = {}) {
+        this.log = log;
+        this.module = null;
+        this.inputFile = 'input.pdf';
+        this.outputFile = 'output.pdf';
+        this.rasterDir = 'raster';
+        this.compressionCount = 0;
+        // { stream: 'stdout' | 'stderr', text } lines printed during the last run
+        this.messages = [];
+        // Non-fatal diagnose() results of the last run (repaired xref, replaced fonts)
+        this.warnings = [];
+        // Called with { page, pages, percent } after every finished page (see PageProgress)
+        this.onProgress = null;
+        this.progress = null;
+        // Input name -> bytes that stay in MEMFS between the passes of one job (see keepStaged)
+        this.kept = new Map();
+        // Kept inputs written to the current module's MEMFS
+        this.staged = new Set();
+    }
+
+    capture(stream, text) {
+        this.messages.push({ stream, text });
+        this.log(`[gs ${stream}]`, text);
+
+        const progress = this.progress?.update(text);
+        if (progress) this.onProgress?.(progress);
+    }
+
+    async init(forceReinit = false) {
+        // Reinitialize every 3 compressions to prevent WASM state corruption
+        if (forceReinit || !this.module || this.compressionCount >= 3) {
+            this.log('Initializing Ghostscript WASM module...');
+            this.module = await loadWASM({
+                print: (text) => this.capture('stdout', text),
+                printErr: (text) => this.capture('stderr', text)
+            });
+            this.compressionCount = 0;
+            // A new module starts with an empty MEMFS
+            this.staged.clear();
+        }
+        return this;
+    }
+
+    // Input for execute(): Blobs are read into bytes once per job, ArrayBuffers are wrapped without copying.
+    // The bundled gs.js has no WORKERFS, so MEMFS (JS-side arrays outside the WASM heap) holds one more copy
+    // of every input while Ghostscript runs.
+    async readable(data) {
+        if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+        return ArrayBuffer.isView(data) ? data : new Uint8Array(data);
+    }
+
+    // Map a JPEG quality (1-100) to a DCT QFactor using the IJG scaling curve
+    jpegQFactor(jpegQuality) {
+        const scale = jpegQuality < 50 ? 5000 / jpegQuality : 200 - jpegQuality * 2;
+        return Math.max(scale / 100, 0.01).toFixed(2);
+    }
+
+    // quality: preset DPI (number), custom settings object from parseQuality, or 'original' (no downsampling)
+    // options.pageList: Ghostscript page list ("1,3-5,10-") keeping only those pages
+    // options.pages: [{ page, rotation }] output sequence for reordered/rotated/deleted pages
+    // options.colorMode: one of COLOR_MODES; options.threshold: mono cut-off in percent (darker becomes black)
+    // options.pdfa: one of the PDFA_POLICIES names to write PDF/A-2b, or null
+    // options.password: password to open an encrypted input
+    // options.passwords: one password (or null) per input file, for inputs encrypted differently
+    // options.encrypt: { userPassword, ownerPassword, permissions: [PDF_PERMISSIONS names] } to protect the output
+    // options.metadata: { info: { Title, Author, ... }, scrub } - info values override the input's, scrub clears
+    //   DOCINFO_KEYS and drops XMP, dates and the file ID where PDF/A and encryption allow it
+    // options.epsCrop: give EPS input a page the size of its bounding box (other input is unaffected)
+    buildArgs(quality, inputFiles = [this.inputFile], {
+        pageList = null, pages = null, colorMode = 'color', threshold = 50, pdfa = null, password = null, passwords = null,
+        encrypt = null, metadata = null, epsCrop = false
+    } = {}) {
+        // PDF/A-2 is based on PDF 1.7
+        const args = ['-sDEVICE=pdfwrite', `-dCompatibilityLevel=${pdfa ? '1.7' : '1.4'}`];
+        const settings = typeof quality === 'number' ? { dpi: quality } : quality;
+        const postScript = [];
+        
+        if (settings && typeof settings === 'object') {
+            const {
+                dpi,
+                jpegQuality = null,
+                downsampleType = 'Bicubic',
+                colorResolution = dpi,
+                grayResolution = dpi,
+                monoResolution = dpi
+            } = settings;
+
+            args.push(
+                `-r${dpi}`,
+                // Only downsample if image resolution is HIGHER than target (never upsample)
+                '-dDownsampleColorImages=true',
+                '-dDownsampleGrayImages=true',
+                '-dDownsampleMonoImages=true',
+                `-dColorImageDownsampleType=/${downsampleType}`,
+                `-dGrayImageDownsampleType=/${downsampleType}`,
+                `-dMonoImageDownsampleType=/${downsampleType}`,
+                `-dColorImageResolution=${colorResolution}`,
+                `-dGrayImageResolution=${grayResolution}`,
+                `-dMonoImageResolution=${monoResolution}`,
+                // Threshold: only downsample if image DPI > target DPI * 1.0 (i.e., always downsample higher res)
+                `-dColorImageDownsampleThreshold=1.0`,
+                `-dGrayImageDownsampleThreshold=1.0`,
+                `-dMonoImageDownsampleThreshold=1.0`,
+                // Prevent encoding changes that increase size
+                '-dAutoFilterColorImages=false',
+                '-dAutoFilterGrayImages=false',
+                '-dColorImageFilter=/DCTEncode',
+                '-dGrayImageFilter=/DCTEncode',
+                // Compress streams
+                '-dCompressPages=true',
+                '-dCompressFonts=true'
+            );
+
+            if (jpegQuality) {
+                // -dJPEGQ covers the jpeg raster devices; pdfwrite reads QFactor from the image dicts
+                const qFactor = this.jpegQFactor(jpegQuality);
+                args.push(`-dJPEGQ=${jpegQuality}`);
+                postScript.push(
+                    `<< /ColorImageDict << /QFactor ${qFactor} /Blend 1 /HSamples [2 1 1 2] /VSamples [2 1 1 2] >>` +
+                    ` /GrayImageDict << /QFactor ${qFactor} /Blend 1 /HSamples [2 1 1 2] /VSamples [2 1 1 2] >> >> setdistillerparams`
+                );
+            }
+        }
+        
+        if (colorMode === 'gray' || colorMode === 'mono') {
+            args.push('-sColorConversionStrategy=Gray', '-dProcessColorModel=/DeviceGray');
+        }
+
+        if (colorMode === 'mono') {
+            // Apply a step transfer function to all content; Flate keeps the hard edges that DCT would blur
+            const level = Math.min(Math.max(Number(threshold) || 50, 1), 99) / 100;
+            args.push('-dTransferFunctionInfo=/Apply', '-dAutoFilterGrayImages=false', '-dGrayImageFilter=/FlateEncode');
+            postScript.push(`<< /Install { { ${level} lt { 0 } { 1 } ifelse } settransfer } >> setpagedevice`);
+        }
+
+        if (pdfa) {
+            const gray = colorMode === 'gray' || colorMode === 'mono';
+            args.push(
+                '-dPDFA=2',
+                `-dPDFACompatibilityPolicy=${PDFA_POLICIES[pdfa] ?? PDFA_POLICIES.drop}`,
+                '--permit-file-read=%rom%iccprofiles/'
+            );
+            if (!gray) args.push('-sColorConversionStrategy=RGB');
+            postScript.push(pdfaDefinition(gray));
+        }
+
+        if (password) {
+            args.push(`-sPDFPassword=${password}`);
+        }
+
+        if (encrypt) {
+            const { userPassword = '', ownerPassword = '', permissions = [] } = encrypt;
+            if (pdfa) throw new Error('PDF/A does not allow encrypted output');
+            if (!userPassword && !ownerPassword) throw new Error('Encrypted output needs a user or owner password');
+            // pdfwrite requires an owner password; a random one still enforces the permissions
+            args.push(
+                `-sOwnerPassword=${ownerPassword || randomPassword()}`,
+                ...(userPassword ? [`-sUserPassword=${userPassword}`] : []),
+                '-dEncryptionR=3', '-dKeyLength=128',
+                `-dPermissions=${permissionFlags(permissions)}`
+            );
+        }
+
+        if (metadata?.scrub) {
+            // PDF/A needs XMP and matching dates; both PDF/A and encryption need the file ID
+            if (!pdfa) args.push('-dOmitXMP', '-dOmitInfoDate');
+            if (!pdfa && !encrypt) args.push('-dOmitID');
+        }
+
+        if (pageList) {
+            args.push(`-sPageList=${pageList}`);
+        }
+
+        if (epsCrop) {
+            args.push('-dEPSCrop');
+        }
+
+        if (pages) {
+            // Rotation is baked into the page content, so keep pdfwrite from guessing its own
+            args.push('-dAutoRotatePages=/None', `--permit-file-read=${inputFiles[0]}`);
+        }
+        
+        // No -dQUIET: repair reports and font substitutions are only printed without it (see diagnose)
+        args.push(
+            '-dPDFSETTINGS=/printer',
+            '-dNOPAUSE', '-dBATCH',
+            `-sOutputFile=${this.outputFile}`
+        );
+
+        if (postScript.length) {
+            args.push('-c', postScript.join(' '), '-f');
+        }
+
+        if (pages) {
+            args.push('-c', this.pageScript(inputFiles[0], pages));
+        } else if (passwords) {
+            // The password in effect when an input is opened is the last one set before it
+            inputFiles.forEach((file, i) => args.push(...(passwords[i] ? [`-sPDFPassword=${passwords[i]}`] : []), file));
+        } else {
+            // Several inputs are concatenated in order
+            args.push(...inputFiles);
+        }
+
+        // Info from the input is copied when it is read, so overrides have to come after it
+        const docinfo = metadata && docinfoMark({
+            ...(metadata.scrub ? Object.fromEntries(DOCINFO_KEYS.map(key => [key, ''])) : {}),
+            ...metadata.info
+        });
+        if (docinfo) {
+            args.push('-c', docinfo);
+        }
+        
+        this.log('Ghostscript args for', quality, ':', args.map(arg => arg.replace(/^(-s(?:PDF|Owner|User)Password=).*/, '$1***')));
+        return args;
+    }
+
+    // format: one of the RASTER_FORMATS names; dpi is clamped to 36-600 like custom quality
+    // options.pageList: Ghostscript page list of the pages to render (all pages otherwise)
+    // options.jpegQuality: 1-100 for jpeg; options.password: password to open an encrypted input
+    rasterArgs(format, inputFile = this.inputFile, { dpi = 150, pageList = null, jpegQuality = 85, password = null } = {}) {
+        const raster = RASTER_FORMATS[format];
+        if (!raster) throw new Error(`Unknown image format "${format}" (expected ${Object.keys(RASTER_FORMATS).join(', ')})`);
+
+        const { dpi: resolution, jpegQuality: quality } = parseCustomSettings({ dpi, jpegQuality });
+        const args = [`-sDEVICE=${raster.device}`, `-r${resolution}`, ...raster.args];
+
+        if (format === 'jpeg') {
+            args.push(`-dJPEGQ=${quality ?? 85}`);
+        }
+
+        if (password) {
+            args.push(`-sPDFPassword=${password}`);
+        }
+
+        if (pageList) {
+            args.push(`-sPageList=${pageList}`);
+        }
+
+        // %03d numbers the rendered pages 001, 002, ... in output order, whatever their page numbers
+        const outputName = raster.multipage ? 'pages' : 'page-%03d';
+        args.push(
+            '-dNOPAUSE', '-dBATCH',
+            `-sOutputFile=${this.rasterDir}/${outputName}`,
+            inputFile
+        );
+
+        this.log('Ghostscript args for', format, ':', args.map(arg => arg.replace(/^(-sPDFPassword=).*/, '$1***')));
+        return args;
+    }
+
+    // PageList only accepts increasing pages, so edited sequences drive the PDF interpreter page by page,
+    // adding each rotation to the page's own /Rotate
+    pageScript(inputFile, pages) {
+        const sequence = pages.map(({ page, rotation = 0 }) => `[${Math.floor(page)} ${Math.floor(rotation)}]`).join(' ');
+        return `(${inputFile}) (r) file runpdfbegin [${sequence}] {` +
+            ' aload pop exch pdfgetpage dup null ne {' +
+            ' dup /Rotate 2 copy known { 2 copy get } { 0 } ifelse 5 -1 roll add 360 mod put pdfshowpage' +
+            ' } { pop pop } ifelse } forall runpdfend';
+    }
+
+    // Failed runs throw an Error with { code, errors: diagnose() results, log: captured messages, exitCode }
+    runError(exitCode, cause = null) {
+        const log = [...this.messages];
+        if (cause) log.push({ stream: 'stderr', text: String(cause.message ?? cause) });
+        const errors = diagnose(log);
+        const primary = errors.find(error => error.fatal) ?? errors[0];
+        const message = primary?.message ?? (exitCode !== null ? `Ghostscript exited with code ${exitCode}` : String(cause?.message ?? cause));
+        return Object.assign(new Error(message), { code: primary?.code ?? 'GHOSTSCRIPT_ERROR', errors, log, exitCode });
+    }
+
+    // Rendered images in output order
+    readRasterDir() {
+        return this.module.FS.readdir(this.rasterDir)
+            .filter(name => name !== '.' && name !== '..')
+            .sort()
+            .map(name => this.module.FS.readFile(`${this.rasterDir}/${name}`, { encoding: 'binary' }));
+    }
+
+    clearRasterDir() {
+        try {
+            for (const name of this.module.FS.readdir(this.rasterDir)) {
+                if (name !== '.' && name !== '..') this.module.FS.unlink(`${this.rasterDir}/${name}`);
+            }
+        } catch (e) {}
+    }
+
+    isKept({ name, data }) {
+        return this.kept.get(name) === data;
+    }
+
+    // Write the inputs (bytes, see readable) to MEMFS; returns the path of every input.
+    // Kept inputs are only written again after init() replaced the module.
+    stage(inputs) {
+        return inputs.map((input) => {
+            const { name, data } = input;
+            if (!this.isKept(input) || !this.staged.has(name)) {
+                this.module.FS.writeFile(name, ArrayBuffer.isView(data) ? data : new Uint8Array(data));
+                if (this.isKept(input)) this.staged.add(name);
+            }
+            return name;
+        });
+    }
+
+    unstage(inputs) {
+        for (const input of inputs) {
+            if (this.isKept(input)) continue;
+            try { this.module.FS.unlink(input.name); } catch (e) {}
+        }
+    }
+
+    // Keep input staged as this.inputFile for every pass fn runs (page-range chunks, target size attempts),
+    // then remove it. Nested calls for the same input share the outer one's copy.
+    async keepStaged(input, fn) {
+        if (this.kept.get(this.inputFile) === input) return fn();
+        this.kept.set(this.inputFile, input);
+        try {
+            return await fn();
+        } finally {
+            this.kept.delete(this.inputFile);
+            if (this.staged.delete(this.inputFile)) {
+                try { this.module.FS.unlink(this.inputFile); } catch (e) {}
+            }
+        }
+    }
+
+    // inputs: [{ name, data }] staged for Ghostscript; buildArgs(paths) returns the Ghostscript arguments for the
+    // staged input paths and readOutput() collects the results before the files are removed.
+    // progress tracks the pages of the run.
+    execute(inputs, buildArgs, readOutput, progress = new PageProgress({ documents: inputs.length })) {
+        const cleanup = () => {
+            this.unstage(inputs);
+            try { this.module.FS.unlink(this.outputFile); } catch (e) {}
+            this.clearRasterDir();
+        };
+
+        this.messages = [];
+        this.warnings = [];
+        this.progress = progress;
+        
+        try {
+            const paths = this.stage(inputs);
+            // Ghostscript errors do not throw; callMain returns the exit code
+            const exitCode = this.module.callMain(buildArgs(paths));
+            const errors = diagnose(this.messages);
+            if (exitCode !== 0 || errors.some(error => error.fatal)) throw this.runError(exitCode);
+
+            const output = readOutput();
+            this.warnings = errors;
+            
+            // Clean up files
+            cleanup();
+            
+            this.compressionCount++;
+            return output;
+        } catch (err) {
+            // Clean up on error
+            cleanup();
+            
+            // Force reinit on next compression
+            this.compressionCount = 999;
+            // WASM aborts and MEMFS errors get the same structure as Ghostscript failures
+            throw err.errors ? err : this.runError(null, err);
+        } finally {
+            this.progress = null;
+        }
+    }
+
+    // Run through pdfwrite into a single output
+    run(inputs, quality, options = {}) {
+        return this.execute(
+            inputs,
+            (paths) => this.buildArgs(quality, paths, options),
+            () => this.module.FS.readFile(this.outputFile, { encoding: 'binary' }),
+            new PageProgress({ documents: inputs.length, pages: options.pages?.length ?? null })
+        );
+    }
+
+    compress(pdfData, quality, options = {}) {
+        this.log('Compressing with DPI:', quality);
+        return this.run([{ name: this.inputFile, data: pdfData }], quality, options);
+    }
+
+    // Concatenate PDFs in the given order, optionally downsampling at a preset; passwords: one (or null) per input
+    async merge(pdfDataList, quality = 'original', { passwords = null } = {}) {
+        this.log(`Merging ${pdfDataList.length} files with quality:`, quality);
+        const inputs = [];
+        for (const data of pdfDataList) {
+            inputs.push({ name: `input-${inputs.length + 1}.pdf`, data: await this.readable(data) });
+        }
+        await this.init();
+        return this.run(inputs, quality, { passwords });
+    }
+
+    // One output per page list, in order (page lists are validated by the caller)
+    async split(pdfData, pageLists, quality = 'original', { password = null } = {}) {
+        this.log(`Splitting into ${pageLists.length} parts with quality:`, quality);
+        const input = await this.readable(pdfData);
+        return this.keepStaged(input, async () => {
+            const outputs = [];
+            for (const pageList of pageLists) {
+                await this.init();
+                outputs.push(this.run([{ name: this.inputFile, data: input }], quality, { pageList, password }));
+            }
+            return outputs;
+        });
+    }
+
+    // PostScript/EPS to PDF without downsampling; Ghostscript detects the language from the content
+    async convertPostScript(psData) {
+        this.log('Converting PostScript to PDF');
+        const input = await this.readable(psData);
+        await this.init();
+        return this.run([{ name: 'input.ps', data: input }], 'original', { epsCrop: true });
+    }
+
+    // Render pages to images: one output per page, or a single file for multipage formats (see rasterArgs)
+    async rasterize(pdfData, format = 'png', options = {}) {
+        this.log(`Rasterizing to ${format} at ${options.dpi ?? 150} DPI`);
+        const input = await this.readable(pdfData);
+        await this.init();
+        try { this.module.FS.mkdir(this.rasterDir); } catch (e) {}
+        return this.execute(
+            [{ name: this.inputFile, data: input }],
+            ([path]) => this.rasterArgs(format, path, options),
+            () => this.readRasterDir()
+        );
+    }
+
+    // Number of pages, read by the PDF interpreter without rendering anything
+    async pageCount(pdfData, password = null) {
+        await this.init();
+        const count = this.execute(
+            [{ name: this.inputFile, data: pdfData }],
+            ([path]) => [
+                '-q', '-dNODISPLAY', `--permit-file-read=${path}`,
+                ...(password ? [`-sPDFPassword=${password}`] : []),
+                '-c', `(${path}) (r) file runpdfbegin pdfpagecount = runpdfend quit`
+            ],
+            () => Number(this.messages.map(({ text }) => text.trim()).filter(text => /^\d+$/.test(text)).at(-1))
+        );
+        if (!(count > 0)) throw this.runError(null, new Error('Could not read the page count'));
+        return count;
+    }
+
+    // Page edits, PDF/A, encryption and metadata need a single pass over the whole document
+    shouldChunk(input, { pages = null, pdfa = null, encrypt = null, metadata = null } = {}) {
+        return byteSize(input) > CHUNK_THRESHOLD && !pages && !pdfa && !encrypt && !metadata;
+    }
+
+    // Compress page ranges of about CHUNK_SIZE input bytes each, then merge the parts without downsampling again.
+    // The input is staged once for all ranges; pageCount can be passed in when it is already known.
+    // Progress is reported over the whole document while the chunks run, warnings are collected from every pass.
+    async compressChunked(input, quality, options = {}, pageCount = null) {
+        return this.keepStaged(input, async () => {
+            pageCount ??= await this.pageCount(input, options.password);
+            return this.compressRanges(input, quality, options, pageCount);
+        });
+    }
+
+    async compressRanges(input, quality, options, pageCount) {
+        const chunks = Math.min(pageCount, Math.ceil(byteSize(input) / CHUNK_SIZE));
+        const perChunk = Math.ceil(pageCount / chunks);
+        this.log(`Compressing ${pageCount} pages in chunks of ${perChunk} pages`);
+
+        const onProgress = this.onProgress;
+        const parts = [];
+        const warnings = [];
+        try {
+            for (let first = 1; first <= pageCount; first += perChunk) {
+                const last = Math.min(pageCount, first + perChunk - 1);
+                this.onProgress = onProgress && (({ page }) => onProgress({
+                    page: first - 1 + page,
+                    pages: pageCount,
+                    percent: Math.round((first - 1 + page) / pageCount * 100)
+                }));
+                await this.init();
+                parts.push(this.compress(input, quality, { ...options, pageList: `${first}-${last}` }));
+                warnings.push(...this.warnings);
+            }
+            // The parts are already decrypted and converted, the merge only copies them
+            this.onProgress = null;
+            const output = await this.merge(parts, 'original');
+            warnings.push(...this.warnings);
+            this.warnings = [...new Map(warnings.map(warning => [warning.code, warning])).values()];
+            return output;
+        } finally {
+            this.onProgress = onProgress;
+        }
+    }
+
+    // One pass, or page-range chunks for very large inputs (see shouldChunk)
+    async compressInput(input, quality, options = {}, pageCount = null) {
+        if (this.shouldChunk(input, options)) return this.compressChunked(input, quality, options, pageCount);
+        await this.init();
+        return this.compress(input, quality, options);
+    }
+
+    // Page edits, color and PDF/A conversion, encryption and metadata changes alter the content,
+    // so the input is no substitute for their output
+    changesContent({ pages = null, colorMode = 'color', pdfa = null, encrypt = null, metadata = null } = {}) {
+        return Boolean(pages) || colorMode !== 'color' || Boolean(pdfa) || Boolean(encrypt) || Boolean(metadata);
+    }
+
+    // Same output policy everywhere: "original" and results that grow fall back to the input bytes,
+    // unless the options change the content (see changesContent); a Blob input comes back as the same Blob
+    async compressOrOriginal(pdfData, quality, options = {}) {
+        const originalData = pdfData instanceof Blob ? pdfData : new Uint8Array(pdfData);
+        const originalSize = byteSize(pdfData);
+        const edited = this.changesContent(options);
+        if (quality === 'original' && !edited) return originalData;
+
+        const output = await this.compressInput(await this.readable(pdfData), quality, options);
+        
+        // If compressed is LARGER than original, use original instead
+        const compressedSize = output.length || output.byteLength;
+        if (!edited && compressedSize >= originalSize) {
+            this.log(`Compressed (${compressedSize}) >= Original (${originalSize}), using original`);
+            return originalData;
+        }
+        return output;
+    }
+
+    // Binary search over SIZE_SEARCH_STEPS for the highest quality whose output fits in maxBytes.
+    // Output size grows with DPI/JPEG quality, so each miss rules out every higher step.
+    // messages and warnings are those of the run that produced output, not of the last attempt.
+    async compressToSize(pdfData, maxBytes, onAttempt = () => {}, options = {}) {
+        // Nothing beats the original if it already fits (unless the content has to change)
+        if (!this.changesContent(options) && byteSize(pdfData) <= maxBytes) {
+            const output = pdfData instanceof Blob ? pdfData : new Uint8Array(pdfData);
+            return { output, settings: null, attempts: [], messages: [], warnings: [] };
+        }
+
+        const input = await this.readable(pdfData);
+        return this.keepStaged(input, () => this.searchSize(input, maxBytes, onAttempt, options));
+    }
+
+    async searchSize(input, maxBytes, onAttempt, options) {
+        // Every attempt covers the same pages, so chunked attempts share one page count
+        const pageCount = this.shouldChunk(input, options) ? await this.pageCount(input, options.password) : null;
+
+        const attempts = [];
+        let best = null;
+        let low = 0;
+        let high = SIZE_SEARCH_STEPS.length - 1;
+
+        while (low <= high) {
+            const mid = Math.floor((low + high) / 2);
+            const settings = { ...SIZE_SEARCH_STEPS[mid] };
+
+            const output = await this.compressInput(input, settings, options, pageCount);
+            const size = output.length || output.byteLength;
+            const attempt = { ...settings, size, fits: size <= maxBytes };
+            attempts.push(attempt);
+            onAttempt(attempt);
+
+            if (attempt.fits) {
+                best = { output, settings, messages: this.messages, warnings: this.warnings };
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return {
+            output: best?.output ?? null,
+            settings: best?.settings ?? null,
+            attempts,
+            messages: best?.messages ?? [],
+            warnings: best?.warnings ?? []
+        };
+    }
+}
@@ -1,222 +1,202 @@
 /**
  * PDF Compressor - Client-Side PDF Compression using Ghostscript WASM
- * Clean OOP implementation with modular architecture
+ * Clean OOP implementation with modular architecture (UI layer over pdfcore.js)
  */
 
+import {
+    PDFRenderer,
+    CompressionWorker,
+    WorkerSession,
+    PreviewCache,
+    ResultStore,
+    resultKey,
+    fileHash,
+    ZipBuilder,
+    PageEdits,
+    QualityMeter,
+    compressPDF,
+    diffImages,
+    mergePDFs,
+    splitPDF,
+    rasterizePDF,
+    imagesToPDF,
+    convertPostScript,
+    isPostScript,
+    planSplit,
+    parsePageList,
+    formatPageList,
+    formatFileSize,
+    baseName,
+    IMAGE_FORMATS,
+    IMAGE_TYPES,
+    isPasswordError,
+    isCancelled,
+    CompressionEvents,
+    PASSWORD_INCORRECT
+} from './pdfcore.js';
+
 // ============================================================================= //
 // UTILITIES
 // ============================================================================= //
 const Utils = {
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-    },
+    formatFileSize,
+    baseName,
 
     $(id) { return document.getElementById(id); },
     
     show(id) { this.$(id)?.classList.remove('hidden'); },
     hide(id) { this.$(id)?.classList.add('hidden'); },
     
-    delay(ms) { return new Promise(r => setTimeout(r, ms)); }
-};
+    delay(ms) { return new Promise(r => setTimeout(r, ms)); },
 
-// ============================================================================= //
-// PDF RENDERER (PDF.js wrapper)
-// ============================================================================= //
-class PDFRenderer {
-    constructor(canvasId, containerId) {
-        this.canvas = Utils.$(canvasId);
-        this.container = Utils.$(containerId);
-        this.doc = null;
-        this.currentPage = 1;
-    }
+    // "Page 3 of 12 · 0:07" from a job's { page, pages, elapsed } progress
+    formatProgress({ page, pages, elapsed }) {
+        const seconds = Math.floor(elapsed / 1000);
+        const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        return `Page ${page}${pages ? ` of ${pages}` : ''} · ${time}`;
+    },
 
-    async load(source, startPage = 1) {
-        const previousPage = this.currentPage;
-        this.doc = await pdfjsLib.getDocument(source).promise;
-        
-        // Use startPage if provided, otherwise try to keep previous page (clamped to valid range)
-        const targetPage = startPage > 1 ? startPage : Math.min(previousPage, this.doc.numPages);
-        this.currentPage = targetPage;
-        await this.renderPage(targetPage);
-        return this.doc.numPages;
-    }
+    isPDF(file) { return file.type === 'application/pdf'; },
 
-    async renderPage(pageNum) {
-        if (!this.doc) return;
-        
-        const page = await this.doc.getPage(pageNum);
-        const ctx = this.canvas.getContext('2d', { willReadFrequently: true });
-        
-        const containerWidth = Math.max(this.container.clientWidth - 40, 800);
-        const viewport = page.getViewport({ scale: 1.0 });
-        const scale = containerWidth / viewport.width;
-        const scaledViewport = page.getViewport({ scale });
+    isImage(file) { return IMAGE_TYPES.includes(file.type); },
 
-        this.canvas.width = scaledViewport.width;
-        this.canvas.height = scaledViewport.height;
+    isPostScript,
 
-        await page.render({ canvasContext: ctx, viewport: scaledViewport }).promise;
-        this.currentPage = pageNum;
-        
-        this.updatePageControls();
-    }
+    // Highlight a drop zone while dragging and hand dropped files to onFiles
+    bindDropZone(zoneId, onFiles) {
+        const zone = this.$(zoneId);
 
-    updatePageControls() {
-        Utils.$('currentPage').textContent = this.currentPage;
-        Utils.$('totalPages').textContent = this.doc?.numPages || 0;
-        Utils.$('prevPageBtn').disabled = this.currentPage <= 1;
-        Utils.$('nextPageBtn').disabled = this.currentPage >= (this.doc?.numPages || 0);
-    }
+        ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(e => {
+            zone.addEventListener(e, (ev) => { ev.preventDefault(); ev.stopPropagation(); });
+        });
 
-    prevPage() {
-        if (this.currentPage > 1) this.renderPage(this.currentPage - 1);
-    }
+        ['dragenter', 'dragover'].forEach(e => {
+            zone.addEventListener(e, () => zone.classList.add('border-purple-500', 'bg-purple-50'));
+        });
 
-    nextPage() {
-        if (this.doc && this.currentPage < this.doc.numPages) {
-            this.renderPage(this.currentPage + 1);
-        }
-    }
+        ['dragleave', 'drop'].forEach(e => {
+            zone.addEventListener(e, () => zone.classList.remove('border-purple-500', 'bg-purple-50'));
+        });
 
-    clear() {
-        const ctx = this.canvas.getContext('2d');
-        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.canvas.width = this.canvas.height = 0;
-        this.doc = null;
-        this.currentPage = 1;
+        zone.addEventListener('drop', (e) => {
+            if (e.dataTransfer.files.length) onFiles(e.dataTransfer.files);
+        });
+    },
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
     }
-}
+};
 
 // ============================================================================= //
-// COMPRESSION WORKER MANAGER
+// ERROR PANEL (replaces alert() for failed Ghostscript jobs)
 // ============================================================================= //
-class CompressionWorker {
-    constructor(workerPath = 'compress-worker.js') {
-        this.worker = null;
-        this.workerPath = workerPath;
-        this.messageId = 0;
-        this.pendingRequests = new Map();
-        this.isProcessing = false;
-        this.queue = [];
+class ErrorPanel {
+    constructor() {
+        document.addEventListener('DOMContentLoaded', () => {
+            Utils.$('errorDismissBtn').addEventListener('click', () => this.hide());
+        });
     }
 
-    init() {
-        if (!this.worker) {
-            console.log('Creating new compression worker...');
-            this.worker = new Worker(this.workerPath, { type: 'module' });
-            this.worker.onerror = (e) => console.error('Worker error:', e);
-            
-            // Single message handler that routes to correct promise
-            this.worker.onmessage = async (e) => {
-                const { messageId, status, compressedURL, originalSize, compressedSize, error } = e.data;
-                
-                const pending = this.pendingRequests.get(messageId);
-                if (!pending) {
-                    console.warn('Received message for unknown request:', messageId);
-                    this.processNext();
-                    return;
-                }
-                
-                const { resolve, reject, blobURL } = pending;
-                this.pendingRequests.delete(messageId);
-                
-                if (status === 'success') {
-                    try {
-                        const response = await fetch(compressedURL);
-                        const buffer = await response.arrayBuffer();
-                        URL.revokeObjectURL(blobURL);
-                        URL.revokeObjectURL(compressedURL);
-                        resolve({ buffer, originalSize, compressedSize });
-                    } catch (err) {
-                        URL.revokeObjectURL(blobURL);
-                        reject(err);
-                    }
-                } else {
-                    URL.revokeObjectURL(blobURL);
-                    reject(new Error(error));
-                }
-                
-                // Process next item in queue
-                this.processNext();
-            };
+    // err: Error from pdfcore, optionally with errors [{ code, message, detail }] and log [{ stream, text }]
+    show(title, err) {
+        Utils.$('errorTitle').textContent = title;
+        Utils.$('errorMessage').textContent = err.message;
+
+        const causes = Utils.$('errorCauses');
+        causes.innerHTML = '';
+        const items = [
+            ...(err.errors ?? []).map(({ message, detail }) => ({ text: message, detail })),
+            ...(err.report?.issues ?? []).map(({ text }) => ({ text }))
+        ];
+        for (const { text, detail } of items) {
+            const row = document.createElement('li');
+            row.textContent = `• ${text}`;
+            if (detail) {
+                const small = document.createElement('span');
+                small.className = 'block ml-3 text-xs text-gray-500';
+                small.textContent = detail;
+                row.appendChild(small);
+            }
+            causes.appendChild(row);
         }
-        return this;
-    }
 
-    // Terminate and reset worker for fresh state
-    reset() {
-        if (this.worker) {
-            console.log('Terminating worker for fresh state...');
-            this.worker.terminate();
-            this.worker = null;
-        }
-        this.messageId = 0;
-        this.pendingRequests.clear();
-        this.isProcessing = false;
-        this.queue = [];
+        const log = err.log ?? [];
+        Utils.$('errorLog').textContent = log.map(({ stream, text }) => stream === 'stderr' ? `! ${text}` : text).join('\n');
+        Utils.$('errorLogDetails').open = false;
+        Utils.$('errorLogDetails').classList.toggle('hidden', !log.length);
+
+        Utils.show('errorPanel');
+        Utils.$('errorPanel').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
 
-    processNext() {
-        this.isProcessing = false;
-        if (this.queue.length > 0) {
-            const next = this.queue.shift();
-            this.executeCompress(next.fileBuffer, next.quality, next.customDPI, next.resolve, next.reject);
-        }
+    hide() {
+        Utils.hide('errorPanel');
     }
+}
 
-    executeCompress(fileBuffer, quality, customDPI, resolve, reject) {
-        this.isProcessing = true;
-        const messageId = ++this.messageId;
-        const blob = new Blob([fileBuffer], { type: 'application/pdf' });
-        const blobURL = URL.createObjectURL(blob);
-        
-        // Store the promise handlers with the blob URL
-        this.pendingRequests.set(messageId, { resolve, reject, blobURL });
+const errorPanel = new ErrorPanel();
 
-        this.worker.postMessage({ messageId, psDataURL: blobURL, quality, customDPI });
+// ============================================================================= //
+// PASSWORD PROMPT (encrypted PDFs)
+// ============================================================================= //
+// Each tool has its own form: prefix "merge" uses mergePasswordPanel, mergePasswordInput, ...
+class PasswordPrompt {
+    constructor(prefix = '') {
+        this.prefix = prefix;
+        this.resolve = null;
     }
 
-    compress(fileBuffer, quality, customDPI = null) {
-        return new Promise((resolve, reject) => {
-            // If already processing, queue this request
-            if (this.isProcessing) {
-                console.log(`Queueing compression for ${quality} (worker busy)`);
-                this.queue.push({ fileBuffer, quality, customDPI, resolve, reject });
-                return;
-            }
-            
-            this.executeCompress(fileBuffer, quality, customDPI, resolve, reject);
-        });
+    id(name) {
+        return this.prefix ? this.prefix + name[0].toUpperCase() + name.slice(1) : name;
     }
-}
 
-// ============================================================================= //
-// PREVIEW CACHE
-// ============================================================================= //
-class PreviewCache {
-    constructor() {
-        this.cache = new Map();
+    bindEvents() {
+        Utils.$(this.id('passwordPanel')).addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.finish(Utils.$(this.id('passwordInput')).value);
+        });
+        Utils.$(this.id('passwordCancelBtn')).addEventListener('click', () => this.finish(null));
     }
 
-    generateKey(quality) {
-        return quality;
+    // Resolves with the entered password, or null when cancelled (or replaced by a newer prompt)
+    ask(fileName, incorrect = false) {
+        this.finish(null);
+        Utils.$(this.id('passwordFileName')).textContent = fileName;
+        Utils.$(this.id('passwordError')).classList.toggle('hidden', !incorrect);
+        Utils.$(this.id('passwordInput')).value = '';
+        Utils.show(this.id('passwordPanel'));
+        Utils.$(this.id('passwordInput')).focus();
+        return new Promise(resolve => { this.resolve = resolve; });
     }
 
-    has(key) { return this.cache.has(key); }
-    
-    get(key) { return this.cache.get(key); }
-    
-    set(key, blob, url) {
-        this.cache.set(key, { blob, url });
+    finish(password) {
+        Utils.hide(this.id('passwordPanel'));
+        this.resolve?.(password);
+        this.resolve = null;
     }
 
-    clear() {
-        this.cache.forEach(({ url }) => URL.revokeObjectURL(url));
-        this.cache.clear();
+    // Open a document with renderer, asking for its password until PDF.js accepts one. Resolves with
+    // { result, password } (password null for unencrypted files), or null when the user cancels.
+    async unlock(fileName, renderer, open) {
+        renderer.password = null;
+        for (;;) {
+            try {
+                return { result: await open(), password: renderer.password };
+            } catch (err) {
+                if (!isPasswordError(err)) throw err;
+                const password = await this.ask(fileName, err.code === PASSWORD_INCORRECT);
+                if (password === null) return null;
+                renderer.password = password;
+            }
+        }
     }
 }
 
@@ -238,12 +218,20 @@ class UIManager {
         if (txt) txt.textContent = text;
     }
 
+    updatePageControls(page, numPages) {
+        Utils.$('currentPage').textContent = page;
+        Utils.$('totalPages').textContent = numPages;
+        Utils.$('prevPageBtn').disabled = page <= 1;
+        Utils.$('nextPageBtn').disabled = page >= numPages;
+    }
+
     updateLoading(text, percent) {
         Utils.$('loadingText').textContent = text;
         Utils.$('loadingBar').style.width = `${percent}%`;
     }
 
-    showPreviewLoading() {
+    // onCancel adds a Cancel button that aborts the job behind the overlay
+    showPreviewLoading(onCancel = null) {
         const container = Utils.$('previewSection')?.querySelector('.bg-white');
         if (!container) return;
 
@@ -257,8 +245,15 @@ class UIManager {
                     <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                 </svg>
                 <p class="text-lg font-medium text-gray-800">Generating preview...</p>
+                <p class="preview-progress text-sm text-gray-500 mt-1"></p>
+                <button class="preview-cancel hidden mt-3 px-4 py-1 bg-gray-200 hover:bg-gray-300 rounded text-sm font-medium">Cancel</button>
             </div>
         `;
+        if (onCancel) {
+            const cancel = this.loadingOverlay.querySelector('.preview-cancel');
+            cancel.classList.remove('hidden');
+            cancel.addEventListener('click', onCancel);
+        }
         container.style.position = 'relative';
         container.appendChild(this.loadingOverlay);
     }
@@ -268,6 +263,14 @@ class UIManager {
         this.loadingOverlay = null;
     }
 
+    updatePreviewProgress(progress) {
+        const text = this.loadingOverlay?.querySelector('.preview-progress');
+        if (!text) return;
+        text.textContent = progress.percent !== null
+            ? `${progress.percent}% · ${Utils.formatProgress(progress)}`
+            : Utils.formatProgress(progress);
+    }
+
     displayResults(original, compressed) {
         const saved = original - compressed;
         const percent = ((saved / original) * 100).toFixed(1);
@@ -279,8 +282,33 @@ class UIManager {
         Utils.show('resultSection');
     }
 
+    // report: { conforms, part, conformance, issues: [{ level, text }] } from a PDF/A run, or null to hide the panel
+    displayPDFAReport(report) {
+        const panel = Utils.$('pdfaReport');
+        panel.classList.toggle('hidden', !report);
+        if (!report) return;
+
+        const verdict = Utils.$('pdfaVerdict');
+        verdict.textContent = report.conforms
+            ? `✓ Saved as PDF/A-${report.part}${report.conformance.toLowerCase()}`
+            : '✗ Not PDF/A: the output was saved as a normal PDF';
+        verdict.className = `font-semibold mb-2 ${report.conforms ? 'text-green-700' : 'text-red-600'}`;
+        panel.classList.toggle('border-green-200', report.conforms);
+        panel.classList.toggle('border-red-200', !report.conforms);
+
+        const list = Utils.$('pdfaIssues');
+        list.innerHTML = '';
+        const issues = report.issues.length ? report.issues : [{ level: 'info', text: 'No conformance issues reported by Ghostscript' }];
+        for (const { level, text } of issues) {
+            const row = document.createElement('li');
+            row.className = level === 'error' ? 'text-red-600' : level === 'warning' ? 'text-amber-700' : 'text-gray-500';
+            row.textContent = `${level === 'error' ? '✗' : level === 'warning' ? '⚠' : 'ℹ'} ${text}`;
+            list.appendChild(row);
+        }
+    }
+
     setQualityActive(element) {
-        document.querySelectorAll('.quality-option').forEach(opt => {
+        document.querySelectorAll('.quality-option, .quality-target').forEach(opt => {
             opt.classList.remove('border-purple-500', 'bg-purple-50');
             if (!opt.classList.contains('quality-locked')) {
                 opt.classList.add('border-gray-300');
@@ -290,6 +318,29 @@ class UIManager {
         element.classList.remove('border-gray-300');
     }
 
+    clearTargetAttempts() {
+        Utils.$('targetAttempts').innerHTML = '';
+        Utils.hide('targetResult');
+    }
+
+    addTargetAttempt({ dpi, jpegQuality, size, fits }) {
+        const row = document.createElement('li');
+        row.className = fits ? 'text-green-600' : 'text-red-500';
+        row.textContent = `${dpi} DPI · JPEG ${jpegQuality} → ${Utils.formatFileSize(size)} ${fits ? '✓ fits' : '✗ too large'}`;
+        Utils.$('targetAttempts').appendChild(row);
+    }
+
+    showTargetResult(text, state) {
+        const styles = {
+            pending: 'text-gray-600',
+            success: 'text-green-700',
+            error: 'text-red-600'
+        };
+        const el = Utils.$('targetResult');
+        el.className = `mt-3 text-sm font-medium ${styles[state]}`;
+        el.textContent = text;
+    }
+
     // Lock a quality option (show loading spinner)
     lockQuality(quality) {
         const opt = document.querySelector(`[data-quality="${quality}"]`);
@@ -324,9 +375,15 @@ class UIManager {
         }
     }
 
+    // Percent done in the hint of an option that is being generated (replaced by the size by unlockQuality)
+    showQualityProgress(quality, { page, percent }) {
+        const hint = document.querySelector(`[data-quality="${quality}"] .quality-hint`);
+        if (hint) hint.textContent = percent !== null ? `${percent}%` : `Page ${page}`;
+    }
+
     // Lock all compression quality options (not original)
     lockAllQualities() {
-        ['low', 'medium', 'good', 'high', 'best'].forEach(q => this.lockQuality(q));
+        ['low', 'medium', 'fair', 'good', 'high'].forEach(q => this.lockQuality(q));
     }
 
     // Reset quality hints to default
@@ -334,9 +391,11 @@ class UIManager {
         const defaults = {
             low: 'Smallest file',
             medium: 'Recommended',
+            fair: 'Balanced',
             good: 'Balanced',
             high: 'Better quality',
             best: 'Print quality',
+            custom: 'Your settings',
             original: 'Keep as-is'
         };
         Object.entries(defaults).forEach(([quality, text]) => {
@@ -347,23 +406,1629 @@ class UIManager {
     }
 }
 
+// ============================================================================= //
+// METADATA PANEL (document info editor and privacy scrub)
+// ============================================================================= //
+class MetadataPanel {
+    static EDITABLE = ['Title', 'Author', 'Subject', 'Keywords'];
+
+    constructor() {
+        this.original = {};  // Editable info values as loaded
+        this.custom = [];  // Custom info keys, emptied by a scrub
+    }
+
+    bindEvents() {
+        // One click empties the form; unchecking brings the loaded values back
+        Utils.$('metaScrub').addEventListener('change', (e) => {
+            MetadataPanel.EDITABLE.forEach(key => {
+                Utils.$(`meta${key}`).value = e.target.checked ? '' : this.original[key] ?? '';
+            });
+            Utils.$('metaReadOnly').classList.toggle('line-through', e.target.checked);
+        });
+    }
+
+    async load(renderer) {
+        this.clear();
+        try {
+            const { info, hasXMP } = await renderer.getMetadata();
+            const { Custom = {}, ...standard } = info;
+            for (const key of MetadataPanel.EDITABLE) {
+                this.original[key] = typeof standard[key] === 'string' ? standard[key] : '';
+                Utils.$(`meta${key}`).value = this.original[key];
+            }
+            this.custom = Object.keys(Custom);
+
+            const rows = [
+                ['Creator', standard.Creator],
+                ['Producer', standard.Producer],
+                ['Created', this.formatDate(standard.CreationDate)],
+                ['Modified', this.formatDate(standard.ModDate)],
+                ...Object.entries(Custom).map(([key, value]) => [key, String(value?.name ?? value)]),
+                ['XMP metadata', hasXMP ? 'present' : 'none']
+            ];
+            const list = Utils.$('metaReadOnly');
+            for (const [label, value] of rows) {
+                if (!value) continue;
+                const row = document.createElement('li');
+                row.textContent = `${label}: ${value}`;
+                list.appendChild(row);
+            }
+        } catch (err) {
+            console.error('Failed to read metadata:', err);
+        }
+    }
+
+    formatDate(value) {
+        const date = value && globalThis.pdfjsLib?.PDFDateString?.toDateObject(value);
+        return date ? date.toLocaleString() : value;
+    }
+
+    // { info, scrub } for the save pass (changed fields, or everything when scrubbing), null if nothing changes
+    options() {
+        const scrub = Utils.$('metaScrub').checked;
+        const info = {};
+        for (const key of MetadataPanel.EDITABLE) {
+            const value = Utils.$(`meta${key}`).value.trim();
+            if (scrub || value !== (this.original[key] ?? '')) info[key] = value;
+        }
+        if (scrub) this.custom.forEach(key => { info[key] = ''; });
+        return scrub || Object.keys(info).length ? { info, scrub } : null;
+    }
+
+    clear() {
+        this.original = {};
+        this.custom = [];
+        MetadataPanel.EDITABLE.forEach(key => { Utils.$(`meta${key}`).value = ''; });
+        Utils.$('metaScrub').checked = false;
+        Utils.$('metaReadOnly').innerHTML = '';
+        Utils.$('metaReadOnly').classList.remove('line-through');
+    }
+}
+
+// ============================================================================= //
+// BATCH COMPRESSOR (multiple files, one preset)
+// ============================================================================= //
+class BatchCompressor {
+    constructor(worker) {
+        this.worker = worker;
+        this.jobs = [];
+        this.quality = 'medium';
+        this.isRunning = false;
+        this.runId = 0;  // Invalidate running batches on reset
+    }
+
+    bindEvents() {
+        Utils.$('batchStartBtn').addEventListener('click', () => this.run());
+        Utils.$('batchZipBtn').addEventListener('click', () => this.downloadZip());
+        Utils.$('batchFilesBtn').addEventListener('click', () => this.downloadAll());
+        Utils.$('batchQuality').addEventListener('change', (e) => { this.quality = e.target.value; });
+    }
+
+    load(files) {
+        this.reset();
+        this.jobs = files.map((file, index) => ({
+            id: index,
+            file,
+            status: 'queued',
+            blob: null,
+            error: null
+        }));
+
+        this.quality = Utils.$('batchQuality').value;
+        Utils.show('batchSection');
+        Utils.$('batchStartBtn').disabled = false;
+        this.renderJobs();
+    }
+
+    async run() {
+        if (this.isRunning || !this.jobs.length) return;
+
+        const runId = ++this.runId;
+        const quality = this.quality;
+        this.isRunning = true;
+        Utils.$('batchStartBtn').disabled = true;
+        Utils.$('batchQuality').disabled = true;
+
+        this.worker.init();
+
+        for (const job of this.jobs) {
+            if (runId !== this.runId) return;
+            if (job.status === 'done') continue;
+
+            this.updateJob(job, { status: 'processing', error: null });
+            try {
+                // Read one file at a time to keep memory bounded
+                const { buffer } = await compressPDF(job.file, { quality, worker: this.worker });
+                if (runId !== this.runId) return;
+                this.updateJob(job, { status: 'done', blob: new Blob([buffer], { type: 'application/pdf' }) });
+            } catch (err) {
+                if (runId !== this.runId) return;
+                console.error(`Batch compression failed for ${job.file.name}:`, err);
+                this.updateJob(job, { status: 'error', error: err.message });
+            }
+        }
+
+        this.isRunning = false;
+        Utils.$('batchQuality').disabled = false;
+        // Allow retrying failed jobs
+        Utils.$('batchStartBtn').disabled = !this.jobs.some(j => j.status === 'error');
+        this.renderSummary();
+    }
+
+    updateJob(job, changes) {
+        Object.assign(job, changes);
+        this.renderJob(job);
+        this.renderSummary();
+    }
+
+    outputName(job) {
+        return `${Utils.baseName(job.file.name)}_compressed.pdf`;
+    }
+
+    completedJobs() {
+        return this.jobs.filter(j => j.status === 'done');
+    }
+
+    async downloadZip() {
+        const done = this.completedJobs();
+        if (!done.length) return;
+
+        const btn = Utils.$('batchZipBtn');
+        btn.disabled = true;
+        try {
+            const zip = new ZipBuilder();
+            for (const job of done) {
+                await zip.add(this.outputName(job), job.blob);
+            }
+            Utils.downloadBlob(zip.build(), 'compressed_pdfs.zip');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    async downloadAll() {
+        for (const job of this.completedJobs()) {
+            Utils.downloadBlob(job.blob, this.outputName(job));
+            // Browsers drop rapid consecutive downloads
+            await Utils.delay(300);
+        }
+    }
+
+    renderJobs() {
+        const list = Utils.$('batchJobList');
+        list.innerHTML = '';
+        this.jobs.forEach(job => {
+            const row = document.createElement('li');
+            row.id = `batchJob-${job.id}`;
+            row.className = 'flex items-center justify-between gap-3 py-2';
+            row.innerHTML = `
+                <span class="batch-name text-sm text-gray-800 truncate"></span>
+                <span class="batch-status text-sm whitespace-nowrap"></span>
+            `;
+            row.querySelector('.batch-name').textContent = job.file.name;
+            list.appendChild(row);
+            this.renderJob(job);
+        });
+        this.renderSummary();
+    }
+
+    renderJob(job) {
+        const status = Utils.$(`batchJob-${job.id}`)?.querySelector('.batch-status');
+        if (!status) return;
+
+        const original = job.file.size;
+        switch (job.status) {
+            case 'queued':
+                status.textContent = `Queued · ${Utils.formatFileSize(original)}`;
+                status.className = 'batch-status text-sm whitespace-nowrap text-gray-500';
+                break;
+            case 'processing':
+                status.textContent = 'Compressing...';
+                status.className = 'batch-status text-sm whitespace-nowrap text-purple-600';
+                break;
+            case 'done': {
+                const saved = ((original - job.blob.size) / original * 100).toFixed(1);
+                status.textContent = `${Utils.formatFileSize(original)} → ${Utils.formatFileSize(job.blob.size)} (${saved}% saved)`;
+                status.className = 'batch-status text-sm whitespace-nowrap text-green-600 font-medium';
+                break;
+            }
+            case 'error':
+                status.textContent = 'Failed';
+                status.title = job.error || '';
+                status.className = 'batch-status text-sm whitespace-nowrap text-red-500 font-medium';
+                break;
+        }
+    }
+
+    renderSummary() {
+        const done = this.completedJobs();
+        const failed = this.jobs.filter(j => j.status === 'error').length;
+        const original = done.reduce((sum, j) => sum + j.file.size, 0);
+        const compressed = done.reduce((sum, j) => sum + j.blob.size, 0);
+
+        let text = `${done.length} of ${this.jobs.length} files compressed`;
+        if (failed) text += ` · ${failed} failed`;
+        if (done.length) {
+            const percent = ((original - compressed) / original * 100).toFixed(1);
+            text += ` · ${Utils.formatFileSize(original)} → ${Utils.formatFileSize(compressed)} (${percent}% saved)`;
+        }
+        Utils.$('batchSummary').textContent = text;
+
+        Utils.$('batchZipBtn').disabled = !done.length || this.isRunning;
+        Utils.$('batchFilesBtn').disabled = !done.length || this.isRunning;
+    }
+
+    reset() {
+        this.runId++;
+        this.isRunning = false;
+        this.jobs = [];
+        Utils.$('batchJobList').innerHTML = '';
+        Utils.$('batchQuality').disabled = false;
+        Utils.hide('batchSection');
+    }
+}
+
+// ============================================================================= //
+// IMAGE BUILDER (JPEG/PNG uploads assembled into a PDF, then compressed as usual)
+// ============================================================================= //
+class ImageBuilder {
+    constructor(onBuild) {
+        this.onBuild = onBuild;  // Receives the built PDF as a File
+        this.items = [];  // { id, file, rotation, url, element } in page order
+        this.nextId = 0;
+        this.dragId = null;
+    }
+
+    bindEvents() {
+        Utils.$('imageBuilderAddFiles').addEventListener('change', (e) => {
+            this.add(Array.from(e.target.files));
+            e.target.value = '';
+        });
+        Utils.$('imageBuilderBtn').addEventListener('click', () => this.build());
+        Utils.$('imageBuilderResetBtn').addEventListener('click', () => this.reset());
+        this.setupReorder();
+    }
+
+    add(files) {
+        const images = files.filter(f => Utils.isImage(f));
+        if (images.length < files.length) {
+            alert(`Skipping ${files.length - images.length} file(s) that are not JPEG or PNG images`);
+        }
+
+        for (const file of images) {
+            const item = { id: this.nextId++, file, rotation: 0, url: URL.createObjectURL(file), element: null };
+            item.element = this.createCard(item);
+            this.items.push(item);
+            Utils.$('imageBuilderList').appendChild(item.element);
+        }
+
+        Utils.show('imageBuilderSection');
+        this.syncOrder();
+    }
+
+    createCard(item) {
+        const card = document.createElement('li');
+        card.draggable = true;
+        card.dataset.id = item.id;
+        card.className = 'image-item relative border-2 border-gray-300 rounded-lg p-2 bg-gray-50 cursor-move hover:border-purple-500 transition';
+        card.innerHTML = `
+            <span class="image-index absolute top-1 left-1 z-10 bg-purple-600 text-white text-xs font-medium rounded px-1.5"></span>
+            <button class="image-remove absolute top-1 right-1 z-10 w-6 h-6 bg-white rounded-full shadow text-gray-600 hover:text-red-600 text-sm" title="Remove">✕</button>
+            <div class="flex items-center justify-center h-44 overflow-hidden">
+                <img alt="" class="max-h-32 max-w-full shadow bg-white transition-transform">
+            </div>
+            <p class="image-name text-xs font-medium text-gray-800 truncate mt-2"></p>
+            <div class="flex items-center justify-between">
+                <span class="image-size text-xs text-gray-500"></span>
+                <button class="image-rotate px-2 text-sm text-gray-600 hover:text-purple-700" title="Rotate clockwise">↻</button>
+            </div>
+        `;
+        card.querySelector('img').src = item.url;
+        card.querySelector('.image-name').textContent = item.file.name;
+        card.querySelector('.image-name').title = item.file.name;
+        card.querySelector('.image-size').textContent = Utils.formatFileSize(item.file.size);
+        card.querySelector('.image-remove').addEventListener('click', () => this.remove(item.id));
+        card.querySelector('.image-rotate').addEventListener('click', () => this.rotate(item.id));
+        return card;
+    }
+
+    rotate(id) {
+        const item = this.items.find(i => i.id === id);
+        item.rotation = (item.rotation + 90) % 360;
+        item.element.querySelector('img').style.transform = `rotate(${item.rotation}deg)`;
+    }
+
+    // Same HTML5 drag and drop as the merge list; the DOM order becomes the page order
+    setupReorder() {
+        const list = Utils.$('imageBuilderList');
+
+        list.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.image-item');
+            if (!card) return;
+            this.dragId = Number(card.dataset.id);
+            e.dataTransfer.effectAllowed = 'move';
+            card.classList.add('opacity-50');
+        });
+
+        list.addEventListener('dragover', (e) => {
+            if (this.dragId === null) return;
+            e.preventDefault();
+
+            const target = e.target.closest('.image-item');
+            if (!target || Number(target.dataset.id) === this.dragId) return;
+
+            const dragged = this.items.find(i => i.id === this.dragId).element;
+            const rect = target.getBoundingClientRect();
+            const after = e.clientX > rect.left + rect.width / 2;
+            list.insertBefore(dragged, after ? target.nextSibling : target);
+        });
+
+        list.addEventListener('drop', (e) => e.preventDefault());
+
+        list.addEventListener('dragend', (e) => {
+            e.target.closest('.image-item')?.classList.remove('opacity-50');
+            this.dragId = null;
+            this.syncOrder();
+        });
+    }
+
+    syncOrder() {
+        const order = Array.from(Utils.$('imageBuilderList').children).map(card => Number(card.dataset.id));
+        this.items.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+        this.items.forEach((item, index) => {
+            item.element.querySelector('.image-index').textContent = index + 1;
+        });
+
+        const size = this.items.reduce((sum, i) => sum + i.file.size, 0);
+        Utils.$('imageBuilderSummary').textContent = `${this.items.length} image${this.items.length === 1 ? '' : 's'} · ${Utils.formatFileSize(size)}`;
+        Utils.$('imageBuilderBtn').disabled = !this.items.length;
+    }
+
+    remove(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item) return;
+
+        URL.revokeObjectURL(item.url);
+        item.element.remove();
+        this.items = this.items.filter(i => i.id !== id);
+        if (!this.items.length) {
+            this.reset();
+            return;
+        }
+        this.syncOrder();
+    }
+
+    // A single photo keeps its name; several become images.pdf
+    outputName() {
+        return this.items.length === 1 ? `${Utils.baseName(this.items[0].file.name)}.pdf` : 'images.pdf';
+    }
+
+    async build() {
+        const margin = Number(Utils.$('imageBuilderMargin').value);
+        if (!(margin >= 0 && margin <= 50)) {
+            alert('Margin must be between 0 and 50 mm');
+            return;
+        }
+
+        const btn = Utils.$('imageBuilderBtn');
+        btn.disabled = true;
+        errorPanel.hide();
+        try {
+            const blob = await imagesToPDF(
+                this.items.map(({ file, rotation }) => ({ file, rotation })),
+                { pageSize: Utils.$('imageBuilderPageSize').value, margin }
+            );
+            const file = new File([blob], this.outputName(), { type: 'application/pdf' });
+            console.log(`Built ${file.name} from ${this.items.length} images (${Utils.formatFileSize(file.size)})`);
+            this.onBuild(file);
+        } catch (err) {
+            console.error('Building PDF from images failed:', err);
+            errorPanel.show('Building the PDF failed', err);
+        } finally {
+            btn.disabled = !this.items.length;
+        }
+    }
+
+    reset() {
+        this.items.forEach(item => URL.revokeObjectURL(item.url));
+        this.items = [];
+        this.dragId = null;
+        Utils.$('imageBuilderList').innerHTML = '';
+        Utils.hide('imageBuilderSection');
+    }
+}
+
+// ============================================================================= //
+// PRESET METRICS (PSNR/SSIM per preset, automatic recommendation)
+// ============================================================================= //
+class PresetMetrics {
+    static QUALITIES = ['low', 'medium', 'fair', 'good', 'high'];
+
+    constructor() {
+        this.meter = null;
+        this.results = new Map();  // quality -> { psnr, ssim, worst, size, ... }
+        this.chain = Promise.resolve();
+        this.loadId = 0;
+    }
+
+    bindEvents() {
+        Utils.$('qualityThreshold').addEventListener('input', () => this.recommend());
+    }
+
+    load(originalURL, password = null) {
+        this.clear();
+        this.meter = new QualityMeter(originalURL, { maxPages: 30, password });
+    }
+
+    // Presets are scored one at a time, after their preview is cached. The blob gets its own URL while it is
+    // measured, since PreviewCache may drop (and revoke) the preview before its turn comes.
+    measure(quality, blob) {
+        if (!this.meter || !PresetMetrics.QUALITIES.includes(quality)) return;
+        const meter = this.meter;
+        const loadId = this.loadId;
+        this.setCardText(quality, 'Measuring quality...');
+
+        this.chain = this.chain.then(async () => {
+            if (loadId !== this.loadId) return;
+            const url = URL.createObjectURL(blob);
+            try {
+                const metrics = await meter.measure(url);
+                if (loadId !== this.loadId) return;
+                this.results.set(quality, { ...metrics, size: blob.size });
+                console.log(`Quality metrics for ${quality}:`, metrics);
+                this.renderCard(quality);
+                this.recommend();
+            } catch (err) {
+                if (loadId !== this.loadId) return;
+                console.error(`Failed to measure ${quality}:`, err);
+                this.setCardText(quality, 'Metrics unavailable');
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+        });
+    }
+
+    setCardText(quality, text, title = '') {
+        const el = document.querySelector(`[data-quality="${quality}"] .quality-metrics`);
+        if (!el) return;
+        el.textContent = text;
+        el.title = title;
+        el.classList.toggle('hidden', !text);
+    }
+
+    renderCard(quality) {
+        const { psnr, ssim, worst, pages, sampled } = this.results.get(quality);
+        const details = pages.map(p => `Page ${p.page}: SSIM ${p.ssim.toFixed(3)}, PSNR ${p.psnr.toFixed(1)} dB`).join('\n');
+        this.setCardText(
+            quality,
+            `SSIM ${ssim.toFixed(3)} · PSNR ${psnr.toFixed(1)} dB · worst p.${worst.page} (${worst.ssim.toFixed(3)})`,
+            (sampled ? `Sampled ${pages.length} pages\n` : '') + details
+        );
+    }
+
+    threshold() {
+        const value = parseFloat(Utils.$('qualityThreshold').value);
+        return Number.isFinite(value) ? value : 0.95;
+    }
+
+    // Smallest measured preset whose worst page stays above the threshold
+    recommend() {
+        const threshold = this.threshold();
+        let best = null;
+        for (const [quality, result] of this.results) {
+            if (result.worst.ssim >= threshold && (!best || result.size < best.size)) {
+                best = { quality, size: result.size };
+            }
+        }
+
+        PresetMetrics.QUALITIES.forEach(quality => {
+            document.querySelector(`[data-quality="${quality}"] .quality-recommended`)
+                ?.classList.toggle('hidden', quality !== best?.quality);
+        });
+
+        const status = Utils.$('qualityMetricsStatus');
+        if (!this.results.size) {
+            status.textContent = '';
+        } else if (best) {
+            status.textContent = `Recommended: ${best.quality} (${Utils.formatFileSize(best.size)})`;
+        } else {
+            status.textContent = `No measured preset reaches SSIM ${threshold} on every page`;
+        }
+    }
+
+    has(quality) {
+        return this.results.has(quality);
+    }
+
+    // Forget scores (e.g. after a color mode change) but keep the rasterized original
+    resetResults() {
+        this.loadId++;
+        this.results.clear();
+        this.chain = Promise.resolve();
+        PresetMetrics.QUALITIES.forEach(quality => this.setCardText(quality, ''));
+        this.recommend();
+    }
+
+    clear() {
+        this.resetResults();
+        this.meter = null;
+    }
+}
+
+// ============================================================================= //
+// PAGE EDITOR (thumbnail grid: rotate, delete, drag to reorder)
+// ============================================================================= //
+class PageEditor {
+    constructor() {
+        this.edits = null;
+        this.cards = new Map();  // original page number -> card element
+        this.dragPage = null;
+        this.loadId = 0;
+    }
+
+    bindEvents() {
+        Utils.$('pageEditResetBtn').addEventListener('click', () => this.resetEdits());
+
+        Utils.$('pageGrid').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const page = Number(button.closest('.page-card').dataset.page);
+            const index = this.edits.pages.findIndex(entry => entry.page === page);
+
+            if (button.dataset.action === 'rotate-left') this.edits.rotate(index, -90);
+            if (button.dataset.action === 'rotate-right') this.edits.rotate(index, 90);
+            if (button.dataset.action === 'delete') {
+                if (this.edits.pages.length === 1) {
+                    alert('A PDF needs at least one page');
+                    return;
+                }
+                this.edits.remove(index);
+            }
+            this.renderGrid();
+        });
+
+        this.setupReorder();
+    }
+
+    async load(file, password = null) {
+        this.clear();
+        const loadId = this.loadId;
+        const url = URL.createObjectURL(file);
+        // Thumbnails are always rendered from the original file, not the current preview
+        const renderer = new PDFRenderer(document.createElement('canvas'), { password });
+
+        try {
+            const numPages = await renderer.open(url);
+            if (loadId !== this.loadId) return;
+
+            this.edits = new PageEdits(numPages);
+            for (let page = 1; page <= numPages; page++) {
+                this.cards.set(page, this.createCard(page));
+            }
+            this.renderGrid();
+
+            // Render thumbnails one at a time; stop if another file was loaded meanwhile
+            for (let page = 1; page <= numPages && loadId === this.loadId; page++) {
+                await renderer.renderPageTo(page, this.cards.get(page).querySelector('canvas'), 120);
+            }
+        } catch (err) {
+            console.error('Failed to render page thumbnails:', err);
+        } finally {
+            await renderer.close();
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    createCard(page) {
+        const card = document.createElement('li');
+        card.draggable = true;
+        card.dataset.page = page;
+        card.className = 'page-card border-2 border-gray-300 rounded-lg p-2 bg-white cursor-move hover:border-purple-500 transition';
+        card.innerHTML = `
+            <div class="flex items-center justify-center h-40 overflow-hidden">
+                <canvas class="shadow max-h-36 max-w-full transition-transform"></canvas>
+            </div>
+            <div class="flex items-center justify-between mt-2">
+                <span class="page-label text-xs font-medium text-gray-700"></span>
+                <div class="flex gap-1">
+                    <button data-action="rotate-left" class="w-6 h-6 rounded bg-gray-100 hover:bg-gray-200 text-sm" title="Rotate left">⟲</button>
+                    <button data-action="rotate-right" class="w-6 h-6 rounded bg-gray-100 hover:bg-gray-200 text-sm" title="Rotate right">⟳</button>
+                    <button data-action="delete" class="w-6 h-6 rounded bg-gray-100 hover:bg-red-100 hover:text-red-600 text-sm" title="Delete page">🗑</button>
+                </div>
+            </div>
+        `;
+        return card;
+    }
+
+    renderGrid() {
+        const grid = Utils.$('pageGrid');
+        grid.replaceChildren(...this.edits.pages.map(({ page, rotation }, index) => {
+            const card = this.cards.get(page);
+            card.querySelector('canvas').style.transform = rotation ? `rotate(${rotation}deg)` : '';
+            card.querySelector('.page-label').textContent = index + 1 === page ? `${page}` : `${index + 1} (p. ${page})`;
+            return card;
+        }));
+        this.renderSummary();
+    }
+
+    renderSummary() {
+        const { pages, numPages } = this.edits;
+        const rotated = pages.filter(entry => entry.rotation).length;
+        const deleted = numPages - pages.length;
+        const edited = this.edits.isEdited();
+
+        Utils.$('pageEditSummary').textContent = edited
+            ? `${pages.length} of ${numPages} pages · ${rotated} rotated · ${deleted} deleted · applied when you compress`
+            : `${numPages} pages · drag to reorder, rotate or delete`;
+        Utils.$('pageEditResetBtn').disabled = !edited;
+    }
+
+    // Move the dragged card while hovering so the grid previews the new order
+    setupReorder() {
+        const grid = Utils.$('pageGrid');
+
+        grid.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.page-card');
+            if (!card) return;
+            this.dragPage = Number(card.dataset.page);
+            e.dataTransfer.effectAllowed = 'move';
+            card.classList.add('opacity-50');
+        });
+
+        grid.addEventListener('dragover', (e) => {
+            if (this.dragPage === null) return;
+            e.preventDefault();
+
+            const target = e.target.closest('.page-card');
+            if (!target || Number(target.dataset.page) === this.dragPage) return;
+
+            const from = this.edits.pages.findIndex(entry => entry.page === this.dragPage);
+            const over = this.edits.pages.findIndex(entry => entry.page === Number(target.dataset.page));
+            const rect = target.getBoundingClientRect();
+            const after = e.clientX > rect.left + rect.width / 2;
+            // Index after removing the dragged page
+            const to = over - (from < over ? 1 : 0) + (after ? 1 : 0);
+            if (to === from) return;
+
+            this.edits.move(from, to);
+            this.renderGrid();
+        });
+
+        grid.addEventListener('drop', (e) => e.preventDefault());
+
+        grid.addEventListener('dragend', (e) => {
+            e.target.closest('.page-card')?.classList.remove('opacity-50');
+            this.dragPage = null;
+        });
+    }
+
+    resetEdits() {
+        this.edits?.reset();
+        if (this.edits) this.renderGrid();
+    }
+
+    // [{ page, rotation }] when the user changed anything, otherwise null
+    getSequence() {
+        return this.edits?.toSequence() ?? null;
+    }
+
+    clear() {
+        this.loadId++;
+        this.edits = null;
+        this.cards.clear();
+        Utils.$('pageGrid').innerHTML = '';
+        Utils.$('pageEditSummary').textContent = '';
+    }
+}
+
+// ============================================================================= //
+// COMPARE VIEW (original vs selected quality, side by side / overlay / difference)
+// ============================================================================= //
+class CompareView {
+    constructor(getSources) {
+        this.getSources = getSources;  // () => { original, selected, label } preview URLs
+        this.original = new PDFRenderer(document.createElement('canvas'));
+        this.selected = new PDFRenderer(document.createElement('canvas'));
+        this.openURLs = { original: null, selected: null };
+        this.mode = 'side';
+        this.zoom = 1;
+        this.page = 1;
+        this.visible = false;
+        this.renderId = 0;
+        this.rendering = Promise.resolve();
+    }
+
+    bindEvents() {
+        document.querySelectorAll('.compare-mode').forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+        });
+        Utils.$('compareZoomIn').addEventListener('click', () => this.setZoom(this.zoom * 1.25));
+        Utils.$('compareZoomOut').addEventListener('click', () => this.setZoom(this.zoom / 1.25));
+        Utils.$('compareOpacity').addEventListener('input', (e) => {
+            Utils.$('compareOverlayCanvas').style.opacity = e.target.value / 100;
+        });
+
+        this.syncScroll('compareLeft', 'compareRight');
+        this.syncScroll('compareRight', 'compareLeft');
+    }
+
+    // Mirror scroll position; equal positions end the ping-pong between the panes
+    syncScroll(fromId, toId) {
+        const from = Utils.$(fromId);
+        const to = Utils.$(toId);
+        from.addEventListener('scroll', () => {
+            if (to.scrollTop === from.scrollTop && to.scrollLeft === from.scrollLeft) return;
+            to.scrollTop = from.scrollTop;
+            to.scrollLeft = from.scrollLeft;
+        });
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        document.querySelectorAll('.compare-mode').forEach(btn => {
+            const active = btn.dataset.mode === mode;
+            btn.classList.toggle('bg-purple-600', active);
+            btn.classList.toggle('text-white', active);
+            btn.classList.toggle('bg-white', !active);
+            btn.classList.toggle('text-gray-700', !active);
+        });
+
+        const side = mode === 'side';
+        Utils.$('compareGrid').classList.toggle('grid-cols-2', side);
+        Utils.$('compareRightColumn').classList.toggle('hidden', !side);
+        Utils.$('compareOverlayCanvas').classList.toggle('hidden', side);
+        Utils.$('compareOverlayControls').classList.toggle('hidden', mode !== 'overlay');
+        Utils.$('compareDiffInfo').classList.toggle('hidden', mode !== 'diff');
+        Utils.$('compareOverlayCanvas').style.opacity = mode === 'overlay' ? Utils.$('compareOpacity').value / 100 : 1;
+        Utils.$('compareLeftLabel').textContent = {
+            side: 'Original',
+            overlay: 'Original with the selected quality on top',
+            diff: 'Changed pixels in red'
+        }[mode];
+
+        this.update();
+    }
+
+    setZoom(zoom) {
+        this.zoom = Math.min(Math.max(zoom, 0.5), 4);
+        Utils.$('compareZoomLabel').textContent = `${Math.round(this.zoom * 100)}%`;
+        this.update();
+    }
+
+    show(page) {
+        this.visible = true;
+        this.update(page);
+    }
+
+    hide() {
+        this.visible = false;
+    }
+
+    // Renders are chained so PDF.js never draws twice into the same canvas at once
+    update(page = this.page) {
+        if (!this.visible) return;
+        this.page = page;
+        const renderId = ++this.renderId;
+        this.rendering = this.rendering.then(() => this.draw(renderId));
+    }
+
+    // The original may be encrypted; compressed previews are not, and PDF.js ignores the password for them
+    setPassword(password) {
+        this.original.password = password;
+        this.selected.password = password;
+    }
+
+    async openSource(which, url) {
+        if (this.openURLs[which] === url) return;
+        await this[which].close();
+        await this[which].open(url);
+        this.openURLs[which] = url;
+    }
+
+    async draw(renderId) {
+        if (renderId !== this.renderId) return;
+        const { original, selected, label } = this.getSources();
+        if (!original) return;
+
+        try {
+            await this.openSource('original', original);
+            await this.openSource('selected', selected);
+            if (renderId !== this.renderId) return;
+
+            Utils.$('compareRightLabel').textContent = label;
+            const width = Math.max(Utils.$('compareLeft').clientWidth - 24, 200) * this.zoom;
+            const originalCanvas = Utils.$('compareOriginalCanvas');
+            const selectedCanvas = Utils.$(this.mode === 'side' ? 'compareSelectedCanvas' : 'compareOverlayCanvas');
+
+            await this.original.renderPageTo(this.page, originalCanvas, width);
+            await this.selected.renderPageTo(this.page, selectedCanvas, width);
+            if (this.mode === 'diff') this.renderDiff(originalCanvas, selectedCanvas);
+        } catch (err) {
+            console.error('Compare render failed:', err);
+        }
+    }
+
+    renderDiff(originalCanvas, overlayCanvas) {
+        const width = Math.min(originalCanvas.width, overlayCanvas.width);
+        const height = Math.min(originalCanvas.height, overlayCanvas.height);
+        const original = originalCanvas.getContext('2d').getImageData(0, 0, width, height);
+        const compressed = overlayCanvas.getContext('2d').getImageData(0, 0, width, height);
+
+        const { data, changedRatio } = diffImages(original, compressed);
+        overlayCanvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+        Utils.$('compareDiffInfo').textContent = changedRatio
+            ? `${(changedRatio * 100).toFixed(2)}% of pixels changed noticeably on this page`
+            : 'No visible pixel changes on this page';
+    }
+
+    async clear() {
+        this.renderId++;
+        this.visible = false;
+        this.openURLs = { original: null, selected: null };
+        await this.original.close();
+        await this.selected.close();
+    }
+}
+
+// ============================================================================= //
+// MERGE TOOL (combine PDFs in a user-chosen order)
+// ============================================================================= //
+class MergeTool {
+    constructor(pool) {
+        this.worker = new WorkerSession(pool);  // Jobs on the page's shared worker pool
+        this.passwordPrompt = new PasswordPrompt('merge');
+        this.items = [];  // { id, file, pages, password, element } in merge order
+        this.nextId = 0;
+        this.dragId = null;
+        this.mergedBlob = null;
+        this.unlocking = Promise.resolve();  // Files being opened, one password prompt at a time
+        
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('DOMContentLoaded', () => this.bindEvents());
+    }
+
+    bindEvents() {
+        Utils.$('mergeFiles').addEventListener('change', (e) => {
+            this.addFiles(Array.from(e.target.files));
+            e.target.value = '';
+        });
+        Utils.$('mergeBtn').addEventListener('click', () => this.merge());
+        Utils.$('mergeDownloadBtn').addEventListener('click', () => this.download());
+        Utils.$('mergeResetBtn').addEventListener('click', () => this.reset());
+        this.passwordPrompt.bindEvents();
+
+        Utils.bindDropZone('mergeDropZone', (files) => this.addFiles(Array.from(files)));
+        this.setupReorder();
+    }
+
+    addFiles(files) {
+        const pdfs = files.filter(f => Utils.isPDF(f));
+        if (pdfs.length < files.length) {
+            alert(`Skipping ${files.length - pdfs.length} non-PDF file(s)`);
+        }
+
+        for (const file of pdfs) {
+            const item = { id: this.nextId++, file, pages: null, password: null, element: this.createCard(file) };
+            item.element.dataset.id = item.id;
+            this.items.push(item);
+            Utils.$('mergeList').appendChild(item.element);
+            this.renderThumbnail(item);
+        }
+
+        Utils.hide('mergeResult');
+        Utils.show('mergeListSection');
+        this.syncOrder();
+    }
+
+    createCard(file) {
+        const card = document.createElement('li');
+        card.draggable = true;
+        card.className = 'merge-item relative border-2 border-gray-300 rounded-lg p-2 bg-gray-50 cursor-move hover:border-purple-500 transition';
+        card.innerHTML = `
+            <span class="merge-index absolute top-1 left-1 bg-purple-600 text-white text-xs font-medium rounded px-1.5"></span>
+            <button class="merge-remove absolute top-1 right-1 w-6 h-6 bg-white rounded-full shadow text-gray-600 hover:text-red-600 text-sm" title="Remove">✕</button>
+            <div class="flex items-center justify-center h-44 overflow-hidden">
+                <canvas class="shadow bg-white max-h-44"></canvas>
+            </div>
+            <p class="merge-name text-xs font-medium text-gray-800 truncate mt-2"></p>
+            <p class="merge-pages text-xs text-gray-500">Loading...</p>
+        `;
+        card.querySelector('.merge-name').textContent = file.name;
+        card.querySelector('.merge-name').title = file.name;
+        card.querySelector('.merge-remove').addEventListener('click', () => this.remove(Number(card.dataset.id)));
+        return card;
+    }
+
+    async renderThumbnail(item) {
+        const canvas = item.element.querySelector('canvas');
+        const pagesText = item.element.querySelector('.merge-pages');
+        const renderer = new PDFRenderer(canvas);
+        const url = URL.createObjectURL(item.file);
+
+        try {
+            // Encrypted files ask for their password in list order; files removed meanwhile are skipped
+            const turn = this.unlocking.then(() => this.items.includes(item)
+                ? this.passwordPrompt.unlock(item.file.name, renderer, () => renderer.open(url))
+                : null);
+            this.unlocking = turn.catch(() => null);
+            const opened = await turn;
+            if (!opened) {
+                // Cancelled: the file cannot be merged without its password
+                this.remove(item.id);
+                return;
+            }
+            item.pages = opened.result;
+            item.password = opened.password;
+            await renderer.renderPageTo(1, canvas, 140);
+            pagesText.textContent = `${item.pages} page${item.pages === 1 ? '' : 's'} · ${Utils.formatFileSize(item.file.size)}`;
+        } catch (err) {
+            console.error(`Failed to render thumbnail for ${item.file.name}:`, err);
+            pagesText.textContent = 'Preview unavailable';
+            pagesText.className = 'merge-pages text-xs text-red-500';
+        } finally {
+            await renderer.close();
+            URL.revokeObjectURL(url);
+        }
+        this.renderSummary();
+    }
+
+    // HTML5 drag and drop between cards; the DOM order becomes the merge order
+    setupReorder() {
+        const list = Utils.$('mergeList');
+
+        list.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.merge-item');
+            if (!card) return;
+            this.dragId = Number(card.dataset.id);
+            e.dataTransfer.effectAllowed = 'move';
+            card.classList.add('opacity-50');
+        });
+
+        list.addEventListener('dragover', (e) => {
+            if (this.dragId === null) return;
+            e.preventDefault();
+
+            const target = e.target.closest('.merge-item');
+            if (!target || Number(target.dataset.id) === this.dragId) return;
+
+            // Drop before or after the hovered card depending on pointer position
+            const dragged = this.items.find(i => i.id === this.dragId).element;
+            const rect = target.getBoundingClientRect();
+            const after = e.clientX > rect.left + rect.width / 2;
+            list.insertBefore(dragged, after ? target.nextSibling : target);
+        });
+
+        list.addEventListener('drop', (e) => e.preventDefault());
+
+        list.addEventListener('dragend', (e) => {
+            e.target.closest('.merge-item')?.classList.remove('opacity-50');
+            this.dragId = null;
+            this.syncOrder();
+        });
+    }
+
+    syncOrder() {
+        const order = Array.from(Utils.$('mergeList').children).map(card => Number(card.dataset.id));
+        this.items.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+        this.items.forEach((item, index) => {
+            item.element.querySelector('.merge-index').textContent = index + 1;
+        });
+        Utils.hide('mergeResult');
+        this.renderSummary();
+    }
+
+    remove(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item) return;
+
+        item.element.remove();
+        this.items = this.items.filter(i => i.id !== id);
+        if (!this.items.length) {
+            this.reset();
+            return;
+        }
+        this.syncOrder();
+    }
+
+    renderSummary() {
+        const pages = this.items.reduce((sum, i) => sum + (i.pages || 0), 0);
+        const size = this.items.reduce((sum, i) => sum + i.file.size, 0);
+        Utils.$('mergeSummary').textContent = `${this.items.length} files · ${pages} pages · ${Utils.formatFileSize(size)}`;
+        Utils.$('mergeBtn').disabled = this.items.length < 2;
+    }
+
+    async merge() {
+        if (this.items.length < 2) {
+            alert('Add at least two PDFs to merge');
+            return;
+        }
+
+        // Files still waiting for their password are merged once it is entered (or left out if cancelled)
+        await this.unlocking;
+        if (this.items.length < 2) return;
+
+        const quality = Utils.$('mergeQuality').value;
+        Utils.$('mergeBtn').disabled = true;
+        Utils.hide('mergeResult');
+        Utils.show('mergeProgress');
+        errorPanel.hide();
+
+        try {
+            const { buffer, stats } = await mergePDFs(this.items.map(i => i.file), {
+                quality,
+                passwords: this.items.map(i => i.password),
+                worker: this.worker
+            });
+            this.mergedBlob = new Blob([buffer], { type: 'application/pdf' });
+
+            Utils.$('mergeResultPages').textContent = this.items.reduce((sum, i) => sum + (i.pages || 0), 0) || '-';
+            Utils.$('mergeResultInput').textContent = Utils.formatFileSize(stats.originalSize);
+            Utils.$('mergeResultSize').textContent = Utils.formatFileSize(stats.compressedSize);
+            Utils.show('mergeResult');
+        } catch (err) {
+            // Reset while merging
+            if (isCancelled(err)) return;
+            console.error('Merge failed:', err);
+            errorPanel.show('Merge failed', err);
+        } finally {
+            Utils.hide('mergeProgress');
+            Utils.$('mergeBtn').disabled = this.items.length < 2;
+        }
+    }
+
+    download() {
+        if (this.mergedBlob) Utils.downloadBlob(this.mergedBlob, 'merged.pdf');
+    }
+
+    reset() {
+        this.worker.reset();
+        this.items = [];
+        this.passwordPrompt.finish(null);
+        this.mergedBlob = null;
+        Utils.$('mergeList').innerHTML = '';
+        ['mergeListSection', 'mergeProgress', 'mergeResult'].forEach(id => Utils.hide(id));
+    }
+}
+
+// ============================================================================= //
+// SPLIT TOOL (page ranges, every N pages, single pages)
+// ============================================================================= //
+class SplitTool {
+    constructor(pool) {
+        this.worker = new WorkerSession(pool);  // Jobs on the page's shared worker pool
+        this.passwordPrompt = new PasswordPrompt('split');
+        this.renderer = null;
+        this.file = null;
+        this.password = null;  // Opens this.file if it is encrypted
+        this.numPages = 0;
+        this.parts = [];  // { pageList, blob }
+        
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('DOMContentLoaded', () => this.bindEvents());
+    }
+
+    bindEvents() {
+        this.renderer = new PDFRenderer(Utils.$('splitCanvas'), { container: Utils.$('splitViewerContainer'), minWidth: 300 });
+        this.renderer.addEventListener('pagechange', (e) => this.updatePageControls(e.detail));
+        this.renderer.addEventListener('selectionchange', (e) => this.syncSelection(e.detail.pages));
+
+        Utils.$('splitFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.load(e.target.files[0]);
+            e.target.value = '';
+        });
+        Utils.bindDropZone('splitDropZone', (files) => this.load(files[0]));
+
+        Utils.$('splitPrevBtn').addEventListener('click', () => this.renderer.prevPage());
+        Utils.$('splitNextBtn').addEventListener('click', () => this.renderer.nextPage());
+        Utils.$('splitSelectBtn').addEventListener('click', () => this.renderer.togglePageSelection());
+        Utils.$('splitPages').addEventListener('input', () => this.selectFromText());
+        Utils.$('splitEvery').addEventListener('input', () => {
+            Utils.$('splitMode-every').checked = true;
+            this.updatePlan();
+        });
+        Utils.$('splitSeparate').addEventListener('change', () => this.updatePlan());
+        document.querySelectorAll('input[name="splitMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updatePlan());
+        });
+
+        Utils.$('splitBtn').addEventListener('click', () => this.split());
+        Utils.$('splitZipBtn').addEventListener('click', () => this.downloadZip());
+        Utils.$('splitFilesBtn').addEventListener('click', () => this.downloadAll());
+        Utils.$('splitResetBtn').addEventListener('click', () => this.reset());
+        this.passwordPrompt.bindEvents();
+    }
+
+    async load(file) {
+        if (!file || !Utils.isPDF(file)) {
+            alert('Please select a PDF file');
+            return;
+        }
+
+        this.reset();
+        this.file = file;
+        const url = URL.createObjectURL(file);
+        try {
+            Utils.show('splitWorkspace');
+            const opened = await this.passwordPrompt.unlock(file.name, this.renderer, () => this.renderer.load(url, 1));
+            if (this.file !== file) return;
+            if (!opened) {
+                this.reset();
+                return;
+            }
+            this.numPages = opened.result;
+            this.password = opened.password;
+            Utils.$('splitFileName').textContent = file.name;
+            Utils.$('splitFileInfo').textContent = `${this.numPages} pages · ${Utils.formatFileSize(file.size)}`;
+            this.updatePlan();
+        } catch (err) {
+            console.error('Error loading PDF for split:', err);
+            alert('Error loading PDF: ' + err.message);
+            this.reset();
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    updatePageControls({ page, numPages, selected }) {
+        Utils.$('splitCurrentPage').textContent = page;
+        Utils.$('splitTotalPages').textContent = numPages;
+        Utils.$('splitPrevBtn').disabled = page <= 1;
+        Utils.$('splitNextBtn').disabled = page >= numPages;
+
+        const btn = Utils.$('splitSelectBtn');
+        btn.textContent = selected ? '✓ Page selected' : '+ Select page';
+        btn.classList.toggle('bg-purple-600', selected);
+        btn.classList.toggle('text-white', selected);
+        btn.classList.toggle('bg-purple-100', !selected);
+        btn.classList.toggle('text-purple-700', !selected);
+        Utils.$('splitCanvas').classList.toggle('ring-4', selected);
+    }
+
+    // Clicking pages in the viewer fills in the page list
+    syncSelection(pages) {
+        if (document.activeElement !== Utils.$('splitPages')) {
+            Utils.$('splitPages').value = formatPageList(pages);
+        }
+        this.updatePageControls({ page: this.renderer.currentPage, numPages: this.numPages, selected: this.renderer.isPageSelected() });
+        this.updatePlan();
+    }
+
+    // Typing a page list highlights those pages in the viewer
+    selectFromText() {
+        Utils.$('splitMode-pages').checked = true;
+        try {
+            const pages = parsePageList(Utils.$('splitPages').value, this.numPages)
+                .flatMap(([first, last]) => Array.from({ length: last - first + 1 }, (_, i) => first + i));
+            this.renderer.setSelectedPages(pages);
+        } catch (err) {
+            this.updatePlan();
+        }
+    }
+
+    getMode() {
+        return document.querySelector('input[name="splitMode"]:checked').value;
+    }
+
+    getPlan() {
+        return planSplit({
+            mode: this.getMode(),
+            pages: Utils.$('splitPages').value,
+            every: Utils.$('splitEvery').value,
+            separate: Utils.$('splitSeparate').checked,
+            numPages: this.numPages
+        });
+    }
+
+    updatePlan() {
+        const summary = Utils.$('splitPlan');
+        try {
+            const plan = this.getPlan();
+            summary.textContent = plan.length === 1
+                ? `1 file: pages ${plan[0]}`
+                : `${plan.length} files will be created`;
+            summary.className = 'text-sm text-gray-600';
+            Utils.$('splitBtn').disabled = false;
+        } catch (err) {
+            summary.textContent = err.message;
+            summary.className = 'text-sm text-red-600';
+            Utils.$('splitBtn').disabled = true;
+        }
+        Utils.hide('splitResult');
+    }
+
+    partName(pageList) {
+        return `${Utils.baseName(this.file.name)}_pages_${pageList.replace(/,/g, '_')}.pdf`;
+    }
+
+    async split() {
+        let plan;
+        try {
+            plan = this.getPlan();
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
+
+        Utils.$('splitBtn').disabled = true;
+        Utils.hide('splitResult');
+        Utils.show('splitProgress');
+        errorPanel.hide();
+
+        try {
+            const { buffers } = await splitPDF(this.file, plan, {
+                quality: Utils.$('splitQuality').value,
+                password: this.password,
+                worker: this.worker
+            });
+            this.parts = buffers.map((buffer, i) => ({
+                pageList: plan[i],
+                blob: new Blob([buffer], { type: 'application/pdf' })
+            }));
+            this.renderResult();
+        } catch (err) {
+            // Reset while splitting
+            if (isCancelled(err)) return;
+            console.error('Split failed:', err);
+            errorPanel.show('Split failed', err);
+        } finally {
+            Utils.hide('splitProgress');
+            Utils.$('splitBtn').disabled = false;
+        }
+    }
+
+    renderResult() {
+        const list = Utils.$('splitResultList');
+        list.innerHTML = '';
+        this.parts.forEach(part => {
+            const row = document.createElement('li');
+            row.className = 'flex items-center justify-between gap-3 py-2';
+            row.innerHTML = `
+                <span class="text-sm text-gray-800 truncate"></span>
+                <span class="text-sm text-gray-500 whitespace-nowrap"></span>
+            `;
+            row.children[0].textContent = this.partName(part.pageList);
+            row.children[1].textContent = Utils.formatFileSize(part.blob.size);
+            list.appendChild(row);
+        });
+
+        Utils.$('splitResultCount').textContent = this.parts.length;
+        Utils.$('splitZipBtn').classList.toggle('hidden', this.parts.length < 2);
+        Utils.$('splitFilesBtn').textContent = this.parts.length < 2 ? '⬇️ Download PDF' : '📄 Download Separately';
+        Utils.show('splitResult');
+    }
+
+    async downloadZip() {
+        const btn = Utils.$('splitZipBtn');
+        btn.disabled = true;
+        try {
+            const zip = new ZipBuilder();
+            for (const part of this.parts) {
+                await zip.add(this.partName(part.pageList), part.blob);
+            }
+            Utils.downloadBlob(zip.build(), `${Utils.baseName(this.file.name)}_split.zip`);
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    async downloadAll() {
+        for (const part of this.parts) {
+            Utils.downloadBlob(part.blob, this.partName(part.pageList));
+            // Browsers drop rapid consecutive downloads
+            await Utils.delay(300);
+        }
+    }
+
+    reset() {
+        this.worker.reset();
+        this.passwordPrompt.finish(null);
+        this.renderer.clear();
+        this.file = null;
+        this.password = null;
+        this.numPages = 0;
+        this.parts = [];
+        Utils.$('splitPages').value = '';
+        ['splitWorkspace', 'splitProgress', 'splitResult'].forEach(id => Utils.hide(id));
+    }
+}
+
+// ============================================================================= //
+// IMAGES TOOL (PNG/JPEG per page, multi-page TIFF G4)
+// ============================================================================= //
+class ImagesTool {
+    constructor(pool) {
+        this.worker = new WorkerSession(pool);  // Jobs on the page's shared worker pool
+        this.passwordPrompt = new PasswordPrompt('images');
+        this.renderer = null;
+        this.file = null;
+        this.password = null;  // Opens this.file if it is encrypted
+        this.numPages = 0;
+        this.images = [];  // { name, blob }
+        this.thumbnailURLs = [];
+        
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('DOMContentLoaded', () => this.bindEvents());
+    }
+
+    bindEvents() {
+        this.renderer = new PDFRenderer(Utils.$('imagesCanvas'), { container: Utils.$('imagesViewerContainer'), minWidth: 300 });
+        this.renderer.addEventListener('pagechange', (e) => this.updatePageControls(e.detail));
+
+        Utils.$('imagesFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.load(e.target.files[0]);
+            e.target.value = '';
+        });
+        Utils.bindDropZone('imagesDropZone', (files) => this.load(files[0]));
+
+        Utils.$('imagesPrevBtn').addEventListener('click', () => this.renderer.prevPage());
+        Utils.$('imagesNextBtn').addEventListener('click', () => this.renderer.nextPage());
+        Utils.$('imagesFormat').addEventListener('change', () => this.updatePlan());
+        Utils.$('imagesPages').addEventListener('input', () => this.updatePlan());
+
+        Utils.$('imagesBtn').addEventListener('click', () => this.export());
+        Utils.$('imagesZipBtn').addEventListener('click', () => this.downloadZip());
+        Utils.$('imagesFilesBtn').addEventListener('click', () => this.downloadAll());
+        Utils.$('imagesResetBtn').addEventListener('click', () => this.reset());
+        this.passwordPrompt.bindEvents();
+    }
+
+    async load(file) {
+        if (!file || !Utils.isPDF(file)) {
+            alert('Please select a PDF file');
+            return;
+        }
+
+        this.reset();
+        this.file = file;
+        const url = URL.createObjectURL(file);
+        try {
+            Utils.show('imagesWorkspace');
+            const opened = await this.passwordPrompt.unlock(file.name, this.renderer, () => this.renderer.load(url, 1));
+            if (this.file !== file) return;
+            if (!opened) {
+                this.reset();
+                return;
+            }
+            this.numPages = opened.result;
+            this.password = opened.password;
+            Utils.$('imagesFileName').textContent = file.name;
+            Utils.$('imagesFileInfo').textContent = `${this.numPages} pages · ${Utils.formatFileSize(file.size)}`;
+            this.updatePlan();
+        } catch (err) {
+            console.error('Error loading PDF for image export:', err);
+            alert('Error loading PDF: ' + err.message);
+            this.reset();
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    updatePageControls({ page, numPages }) {
+        Utils.$('imagesCurrentPage').textContent = page;
+        Utils.$('imagesTotalPages').textContent = numPages;
+        Utils.$('imagesPrevBtn').disabled = page <= 1;
+        Utils.$('imagesNextBtn').disabled = page >= numPages;
+    }
+
+    // Page numbers in document order, the order Ghostscript renders them in; blank means every page
+    getPages() {
+        const text = Utils.$('imagesPages').value.trim() || `1-${this.numPages}`;
+        const pages = parsePageList(text, this.numPages)
+            .flatMap(([first, last]) => Array.from({ length: last - first + 1 }, (_, i) => first + i));
+        return [...new Set(pages)].sort((a, b) => a - b);
+    }
+
+    updatePlan() {
+        const format = Utils.$('imagesFormat').value;
+        Utils.$('imagesJpegControls').classList.toggle('hidden', format !== 'jpeg');
+
+        const summary = Utils.$('imagesPlan');
+        try {
+            const count = this.getPages().length;
+            summary.textContent = IMAGE_FORMATS[format].multipage
+                ? `1 TIFF file with ${count} page${count === 1 ? '' : 's'}`
+                : `${count} image${count === 1 ? '' : 's'} will be created`;
+            summary.className = 'text-sm text-gray-600';
+            Utils.$('imagesBtn').disabled = false;
+        } catch (err) {
+            summary.textContent = err.message;
+            summary.className = 'text-sm text-red-600';
+            Utils.$('imagesBtn').disabled = true;
+        }
+        Utils.hide('imagesResult');
+    }
+
+    // report_page_007.png - zero-padded so the files sort in page order
+    imageName(format, page = null) {
+        const { extension } = IMAGE_FORMATS[format];
+        const base = Utils.baseName(this.file.name);
+        if (page === null) return `${base}.${extension}`;
+        return `${base}_page_${String(page).padStart(String(this.numPages).length, '0')}.${extension}`;
+    }
+
+    async export() {
+        let pages;
+        try {
+            pages = this.getPages();
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
+
+        const format = Utils.$('imagesFormat').value;
+        Utils.$('imagesBtn').disabled = true;
+        Utils.hide('imagesResult');
+        Utils.show('imagesProgress');
+        errorPanel.hide();
+
+        try {
+            const { buffers } = await rasterizePDF(this.file, {
+                format,
+                dpi: Number(Utils.$('imagesDpi').value),
+                pageList: formatPageList(pages),
+                jpegQuality: Number(Utils.$('imagesJpegQuality').value),
+                password: this.password,
+                worker: this.worker
+            });
+            const { type, multipage } = IMAGE_FORMATS[format];
+            this.images = buffers.map((buffer, i) => ({
+                name: this.imageName(format, multipage ? null : pages[i]),
+                blob: new Blob([buffer], { type })
+            }));
+            this.renderResult();
+        } catch (err) {
+            // Reset while exporting
+            if (isCancelled(err)) return;
+            console.error('Image export failed:', err);
+            errorPanel.show('Image export failed', err);
+        } finally {
+            Utils.hide('imagesProgress');
+            Utils.$('imagesBtn').disabled = false;
+        }
+    }
+
+    renderResult() {
+        this.revokeThumbnails();
+        const list = Utils.$('imagesResultList');
+        list.innerHTML = '';
+        this.images.forEach(image => {
+            const row = document.createElement('li');
+            row.className = 'flex items-center gap-3 py-2';
+            row.innerHTML = `
+                <img alt="" class="hidden w-10 h-14 object-contain bg-white border border-gray-200 rounded">
+                <span class="flex-1 text-sm text-gray-800 truncate"></span>
+                <span class="text-sm text-gray-500 whitespace-nowrap"></span>
+            `;
+            // Browsers do not display TIFF, so only PNG and JPEG get a thumbnail
+            if (image.blob.type !== IMAGE_FORMATS.tiff.type) {
+                const url = URL.createObjectURL(image.blob);
+                this.thumbnailURLs.push(url);
+                row.children[0].src = url;
+                row.children[0].classList.remove('hidden');
+            }
+            row.children[1].textContent = image.name;
+            row.children[2].textContent = Utils.formatFileSize(image.blob.size);
+            list.appendChild(row);
+        });
+
+        Utils.$('imagesResultCount').textContent = this.images.length;
+        Utils.$('imagesZipBtn').classList.toggle('hidden', this.images.length < 2);
+        Utils.$('imagesFilesBtn').textContent = this.images.length < 2 ? '⬇️ Download' : '🖼️ Download Separately';
+        Utils.show('imagesResult');
+    }
+
+    revokeThumbnails() {
+        this.thumbnailURLs.forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailURLs = [];
+    }
+
+    async downloadZip() {
+        const btn = Utils.$('imagesZipBtn');
+        btn.disabled = true;
+        try {
+            const zip = new ZipBuilder();
+            for (const image of this.images) {
+                await zip.add(image.name, image.blob);
+            }
+            Utils.downloadBlob(zip.build(), `${Utils.baseName(this.file.name)}_images.zip`);
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    async downloadAll() {
+        for (const image of this.images) {
+            Utils.downloadBlob(image.blob, image.name);
+            // Browsers drop rapid consecutive downloads
+            await Utils.delay(300);
+        }
+    }
+
+    reset() {
+        this.worker.reset();
+        this.passwordPrompt.finish(null);
+        this.renderer.clear();
+        this.revokeThumbnails();
+        this.file = null;
+        this.password = null;
+        this.numPages = 0;
+        this.images = [];
+        Utils.$('imagesPages').value = '';
+        ['imagesWorkspace', 'imagesProgress', 'imagesResult'].forEach(id => Utils.hide(id));
+    }
+}
+
+// ============================================================================= //
+// TOOL TABS
+// ============================================================================= //
+class ToolTabs {
+    constructor() {
+        document.addEventListener('DOMContentLoaded', () => this.bindEvents());
+    }
+
+    bindEvents() {
+        document.querySelectorAll('.tool-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.select(tab));
+        });
+    }
+
+    select(activeTab) {
+        document.querySelectorAll('.tool-tab').forEach(tab => {
+            const active = tab === activeTab;
+            tab.classList.toggle('bg-purple-600', active);
+            tab.classList.toggle('text-white', active);
+            tab.classList.toggle('bg-white', !active);
+            tab.classList.toggle('text-purple-600', !active);
+        });
+        document.querySelectorAll('.tool-panel').forEach(panel => {
+            panel.classList.toggle('hidden', panel.id !== `${activeTab.dataset.tool}Tool`);
+        });
+        Utils.$('toolTitle').textContent = activeTab.dataset.title;
+    }
+}
+
 // ============================================================================= //
 // MAIN PDF COMPRESSOR CLASS
 // ============================================================================= //
 class PDFCompressor {
-    constructor() {
+    constructor(pool = new CompressionWorker(undefined, { log: console.log })) {
         this.file = null;
         this.compressedBlob = null;
         this.quality = 'original';
+        this.customSettings = null;  // Advanced Ghostscript settings for the "custom" option
+        this.targetSize = null;  // Byte limit for the "fit under N MB" mode
+        this.colorMode = 'color';  // color | gray | mono, applied on top of every preset
+        this.threshold = 50;  // Mono cut-off in percent
+        this.pdfa = null;  // PDF/A policy (drop | revert | abort), applied in the save pass
+        this.password = null;  // Opens the current file if it is encrypted
         this.previewRequestId = 0;  // Track current request to prevent race conditions
         this.preloadPaused = false;  // Pause background preloading during user interaction
-        this.pendingQualities = new Set();  // Track qualities currently being processed
-        this.isPreloading = false;  // Prevent concurrent preload loops
+        this.pendingQualities = new Map();  // Cache key -> job handle of each queued or running preload
+        this.previewJob = null;  // Cancellable handle of the job behind the preview overlay
         
-        this.renderer = new PDFRenderer('pdfCanvas', 'pdfViewerContainer');
-        this.worker = new CompressionWorker();
-        this.cache = new PreviewCache();
+        this.renderer = new PDFRenderer(Utils.$('pdfCanvas'), { container: Utils.$('pdfViewerContainer') });
+        this.worker = new WorkerSession(pool);
+        this.worker.addEventListener(CompressionEvents.PROGRESS, (e) => this.showProgress(e));
+        this.cache = new PreviewCache({ log: console.log });
+        this.store = new ResultStore();  // Outputs kept across reloads, keyed by the file's SHA-256
+        this.hashes = new WeakMap();  // File -> promise of its hash
         this.ui = new UIManager();
+        this.batch = new BatchCompressor(this.worker);
+        this.pageEditor = new PageEditor();
+        this.compare = new CompareView(() => this.compareSources());
+        this.metrics = new PresetMetrics();
+        this.passwordPrompt = new PasswordPrompt();
+        this.metadataPanel = new MetadataPanel();
+        this.imageBuilder = new ImageBuilder((file) => this.handleFile({ target: { files: [file] } }));
         
         this.init();
     }
@@ -379,31 +2044,215 @@ class PDFCompressor {
         Utils.$('resetBtn').addEventListener('click', () => this.reset());
         Utils.$('prevPageBtn').addEventListener('click', () => this.renderer.prevPage());
         Utils.$('nextPageBtn').addEventListener('click', () => this.renderer.nextPage());
+        this.renderer.addEventListener('pagechange', (e) => {
+            this.ui.updatePageControls(e.detail.page, e.detail.numPages);
+            this.compare.update(e.detail.page);
+        });
+        Utils.$('viewPageBtn').addEventListener('click', () => this.setView('page'));
+        Utils.$('viewGridBtn').addEventListener('click', () => this.setView('grid'));
+        Utils.$('viewCompareBtn').addEventListener('click', () => this.setView('compare'));
+        Utils.$('batchResetBtn').addEventListener('click', () => this.reset());
+        Utils.$('customApplyBtn').addEventListener('click', () => this.applyCustomSettings());
+        Utils.$('targetSizeBtn').addEventListener('click', () => this.findTargetSize());
+        Utils.$('clearStoreBtn').addEventListener('click', () => this.clearStore());
+        document.querySelectorAll('input[name="colorMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.setColorMode());
+        });
+        Utils.$('monoThreshold').addEventListener('input', (e) => {
+            Utils.$('monoThresholdValue').textContent = `${e.target.value}%`;
+        });
+        Utils.$('monoThreshold').addEventListener('change', () => this.setColorMode());
+        Utils.$('pdfaEnabled').addEventListener('change', () => this.setPDFA());
+        Utils.$('pdfaPolicy').addEventListener('change', () => this.setPDFA());
+        Utils.$('encryptEnabled').addEventListener('change', (e) => {
+            Utils.$('encryptControls').classList.toggle('hidden', !e.target.checked);
+        });
+        this.batch.bindEvents();
+        this.pageEditor.bindEvents();
+        this.compare.bindEvents();
+        this.metrics.bindEvents();
+        this.passwordPrompt.bindEvents();
+        this.metadataPanel.bindEvents();
+        this.imageBuilder.bindEvents();
         
         this.setupDragDrop();
         this.setupQualitySelection();
+        this.updateStoreStatus();
     }
 
-    setupDragDrop() {
-        const zone = Utils.$('dropZone');
-        
-        ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(e => {
-            zone.addEventListener(e, (ev) => { ev.preventDefault(); ev.stopPropagation(); });
-        });
+    // Content hash of a file, computed once; null when the file is too large to store results for
+    hashFor(file) {
+        if (!this.hashes.has(file)) {
+            const hash = ResultStore.supported && file.size <= this.store.maxFileSize
+                ? fileHash(file).catch(err => { console.warn('Could not hash file:', err); return null; })
+                : Promise.resolve(null);
+            this.hashes.set(file, hash);
+        }
+        return this.hashes.get(file);
+    }
 
-        ['dragenter', 'dragover'].forEach(e => {
-            zone.addEventListener(e, () => zone.classList.add('border-purple-500', 'bg-purple-50'));
-        });
+    // Results stored for this file in earlier sessions go straight into the preview cache: every preset and the
+    // current selection in the current color mode
+    async restoreResults(file) {
+        const colorOptions = this.colorOptions();
+        const qualities = ['low', 'medium', 'fair', 'good', 'high'];
+        if (!qualities.includes(this.quality) && this.quality !== 'original') qualities.push(this.quality);
+        const isStale = () => this.file !== file ||
+            this.colorMode !== colorOptions.colorMode || this.threshold !== colorOptions.threshold;
+        let restored = 0;
+        for (const quality of qualities) {
+            const request = this.resultRequest(quality, colorOptions);
+            if (this.cache.has(this.cache.generateKey(quality, request))) continue;
+            if (await this.restoreResult(file, quality, request)) restored++;
+            if (isStale()) return;
+        }
+        if (restored) console.log(`Restored ${restored} stored results for ${file.name}`);
+    }
 
-        ['dragleave', 'drop'].forEach(e => {
-            zone.addEventListener(e, () => zone.classList.remove('border-purple-500', 'bg-purple-50'));
+    // Put the stored output of one request into the preview cache; true if there was one
+    async restoreResult(file, quality, request) {
+        try {
+            const hash = await this.hashFor(file);
+            if (!hash) return false;
+            const blob = await this.store.get(hash, resultKey(quality, request));
+            if (!blob || this.file !== file) return false;
+            this.cache.set(this.cache.generateKey(quality, request), blob, URL.createObjectURL(blob));
+            return true;
+        } catch (err) {
+            console.warn('Could not read stored results:', err);
+            return false;
+        }
+    }
+
+    // Storing is best effort: private browsing or a full quota only cost the next visit a recompression.
+    // Outputs of password-protected files are decrypted, so they stay in memory only.
+    async storeResult(file, quality, request, blob) {
+        if (this.password) return;
+        try {
+            const hash = await this.hashFor(file);
+            if (!hash) return;
+            await this.store.put(hash, resultKey(quality, request), blob);
+            this.updateStoreStatus();
+        } catch (err) {
+            console.warn('Could not store result:', err);
+        }
+    }
+
+    async updateStoreStatus() {
+        if (!ResultStore.supported) return;
+        try {
+            const { count, bytes } = await this.store.usage();
+            Utils.$('resultStoreStatus').textContent = count
+                ? `${count} saved result${count === 1 ? '' : 's'} (${Utils.formatFileSize(bytes)}) reopen instantly`
+                : 'No saved results';
+            Utils.$('clearStoreBtn').disabled = !count;
+            Utils.show('resultStorePanel');
+        } catch (err) {
+            console.warn('Result store unavailable:', err);
+        }
+    }
+
+    async clearStore() {
+        try {
+            await this.store.clear();
+        } catch (err) {
+            errorPanel.show('Could not clear the cache', err);
+        }
+        this.updateStoreStatus();
+    }
+
+    // Preview area: single page, page grid editor or original-vs-selected comparison
+    setView(view) {
+        [['viewPageBtn', 'page'], ['viewGridBtn', 'grid'], ['viewCompareBtn', 'compare']].forEach(([id, name]) => {
+            const btn = Utils.$(id);
+            const active = name === view;
+            btn.classList.toggle('bg-purple-600', active);
+            btn.classList.toggle('text-white', active);
+            btn.classList.toggle('bg-white', !active);
+            btn.classList.toggle('text-gray-700', !active);
         });
+        Utils.$('pdfViewerContainer').classList.toggle('hidden', view !== 'page');
+        Utils.$('pageGridSection').classList.toggle('hidden', view !== 'grid');
+        Utils.$('compareSection').classList.toggle('hidden', view !== 'compare');
+        // Page navigation also drives the compare view
+        Utils.$('pageNavControls').classList.toggle('hidden', view === 'grid');
+
+        if (view === 'compare') {
+            this.compare.show(this.renderer.currentPage);
+        } else {
+            this.compare.hide();
+        }
+    }
 
-        zone.addEventListener('drop', (e) => {
-            if (e.dataTransfer.files.length) {
-                Utils.$('pdfFile').files = e.dataTransfer.files;
-                this.handleFile({ target: Utils.$('pdfFile') });
-            }
+    colorOptions() {
+        return { colorMode: this.colorMode, threshold: this.threshold };
+    }
+
+    // Settings a preview of quality is generated with, as taken by PreviewCache.generateKey and resultKey
+    resultRequest(quality, colorOptions = this.colorOptions()) {
+        return {
+            customSettings: quality === 'custom' ? this.customSettings : null,
+            targetSize: quality === 'target' ? this.targetSize : null,
+            ...colorOptions
+        };
+    }
+
+    // Options sent with every Ghostscript job for the current file
+    jobOptions() {
+        return { ...this.colorOptions(), password: this.password };
+    }
+
+    // { userPassword, ownerPassword, permissions } when the output should be encrypted, otherwise null
+    encryptOptions() {
+        if (!Utils.$('encryptEnabled').checked) return null;
+        return {
+            userPassword: Utils.$('encryptUserPassword').value,
+            ownerPassword: Utils.$('encryptOwnerPassword').value,
+            permissions: [...document.querySelectorAll('input[name="encryptPermission"]:checked')].map(input => input.value)
+        };
+    }
+
+    // PDF/A only changes the save pass; previews keep showing the selected preset
+    setPDFA() {
+        const enabled = Utils.$('pdfaEnabled').checked;
+        this.pdfa = enabled ? Utils.$('pdfaPolicy').value : null;
+        Utils.$('pdfaPolicyControls').classList.toggle('hidden', !enabled);
+        console.log('PDF/A conversion:', this.pdfa ?? 'off');
+    }
+
+    // Every preset/color combination has its own cache entry, so switching back is instant
+    async setColorMode() {
+        this.colorMode = document.querySelector('input[name="colorMode"]:checked').value;
+        this.threshold = Number(Utils.$('monoThreshold').value);
+        Utils.$('monoThresholdControls').classList.toggle('hidden', this.colorMode !== 'mono');
+        console.log('Color mode changed to:', this.colorMode, this.threshold);
+        if (!this.file) return;
+
+        // Restart preloading for the new mode, like loading a new file
+        this.previewRequestId++;
+        this.cancelPreloads();
+        this.ui.lockAllQualities();
+        this.ui.resetQualityHints();
+        this.metrics.resetResults();
+
+        // Results stored for the new mode in an earlier visit
+        const requestId = this.previewRequestId;
+        await this.restoreResults(this.file);
+        if (requestId === this.previewRequestId) this.handleQualityChange();
+    }
+
+    compareSources() {
+        const original = this.cache.get('original');
+        const selected = this.cache.get(this.getCacheKey()) ?? original;
+        const mode = this.colorMode === 'color' ? '' : `, ${this.colorMode}`;
+        const label = this.quality === 'original' && !mode ? 'Original' : `Selected (${this.quality}${mode})`;
+        return { original: original?.url, selected: selected?.url, label };
+    }
+
+    setupDragDrop() {
+        Utils.bindDropZone('dropZone', (files) => {
+            Utils.$('pdfFile').files = files;
+            this.handleFile({ target: Utils.$('pdfFile') });
         });
     }
 
@@ -421,6 +2270,7 @@ class PDFCompressor {
                 if (radio) {
                     radio.checked = true;
                     this.quality = radio.value;
+                    this.toggleCustomPanel();
                     console.log('Quality changed to:', this.quality);
                     if (this.file) {
                         this.handleQualityChange();
@@ -430,6 +2280,46 @@ class PDFCompressor {
         });
     }
 
+    toggleCustomPanel() {
+        if (this.quality === 'custom') {
+            this.customSettings = this.readCustomSettings();
+            Utils.show('customSettingsPanel');
+        } else {
+            Utils.hide('customSettingsPanel');
+        }
+    }
+
+    // Blank resolution fields fall back to the target DPI
+    readCustomSettings() {
+        const num = (id) => {
+            const value = Utils.$(id).value.trim();
+            return value === '' ? null : Number(value);
+        };
+        const dpi = num('customDPI') ?? 150;
+        return {
+            dpi,
+            jpegQuality: num('customJPEGQ'),
+            downsampleType: Utils.$('customDownsample').value,
+            colorResolution: num('customColorRes') ?? dpi,
+            grayResolution: num('customGrayRes') ?? dpi,
+            monoResolution: num('customMonoRes') ?? dpi
+        };
+    }
+
+    applyCustomSettings() {
+        const opt = document.querySelector('[data-quality="custom"]');
+        if (!opt) return;
+
+        if (this.quality !== 'custom') {
+            // Selecting the option reads the settings and loads the preview
+            opt.click();
+            return;
+        }
+
+        this.customSettings = this.readCustomSettings();
+        if (this.file) this.handleQualityChange();
+    }
+
     handleQualityChange() {
         const cacheKey = this.getCacheKey();
         
@@ -470,28 +2360,41 @@ class PDFCompressor {
 
     async loadQualityWithPriority() {
         const requestId = this.previewRequestId;  // Don't increment - already done in handleQualityChange
+        const file = this.file;
         const quality = this.quality;
+        const customSettings = quality === 'custom' ? this.customSettings : null;
+        const jobOptions = this.jobOptions();
+        const request = this.resultRequest(quality);
+        const cacheKey = this.cache.generateKey(quality, request);
         const isOutdated = () => requestId !== this.previewRequestId;
         
         // Show loading overlay
-        this.ui.showPreviewLoading();
+        this.ui.showPreviewLoading(() => this.cancelPreview());
         
         try {
             this.worker.init();
-            const fileBuffer = await this.file.arrayBuffer();
             
-            if (isOutdated()) {
-                console.log('Request outdated before compression');
-                this.ui.hidePreviewLoading();
-                return;
+            // A preload of this preset is moved to the front of the queue instead of queueing it twice
+            const preload = this.pendingQualities.get(cacheKey);
+            if (preload) {
+                this.worker.prioritize(preload.jobId);
+                this.previewJob = preload;
+            } else {
+                this.previewJob = this.worker.compress(file, quality, customSettings, { ...jobOptions, priority: true });
+                this.makeRoom();
             }
+            const { buffer } = await this.previewJob;
+            this.previewJob = null;
             
-            const { buffer } = await this.worker.compress(fileBuffer, quality, null);
-            
-            // Always cache the result - it's useful even if user switched away
-            const blob = new Blob([buffer], { type: 'application/pdf' });
-            const url = URL.createObjectURL(blob);
-            this.cache.set(quality, blob, url);
+            // Always cache the result - it's useful even if user switched away (a preload caches its own)
+            if (!this.cache.has(cacheKey)) {
+                const blob = new Blob([buffer], { type: 'application/pdf' });
+                const url = URL.createObjectURL(blob);
+                this.cache.set(cacheKey, blob, url);
+                this.metrics.measure(quality, blob);
+                this.storeResult(file, quality, request, blob);
+            }
+            const { blob, url } = this.cache.get(cacheKey);
             
             if (isOutdated()) {
                 console.log('Request outdated after compression, cached for later');
@@ -521,38 +2424,188 @@ class PDFCompressor {
             
         } catch (error) {
             this.ui.hidePreviewLoading();
+            if (isCancelled(error)) {
+                console.log('Preview cancelled:', quality);
+                return;
+            }
             if (!isOutdated()) {
-                alert('Preview generation failed: ' + error.message);
+                this.ui.unlockQuality(quality, 'Error - retry');
+                errorPanel.show('Preview generation failed', error);
+            }
+        }
+    }
+
+    // Page progress of the job behind the preview overlay and of preloads goes to the overlay and the option
+    // cards; batch and tool jobs on the shared worker are ignored
+    showProgress({ jobId, quality, progress }) {
+        const isPreview = jobId === this.previewJob?.jobId;
+        if (isPreview) this.ui.updatePreviewProgress(progress);
+        if (isPreview || [...this.pendingQualities.values()].some(job => job.jobId === jobId)) {
+            this.ui.showQualityProgress(quality, progress);
+        }
+    }
+
+    // A priority job queued while every worker runs a preload would wait for one of them to finish;
+    // stop one instead, it is queued again by the next preloadAllQualities()
+    makeRoom() {
+        if (this.worker.idleWorkers) return;
+        const running = [...this.pendingQualities.values()].find(job => this.worker.isRunning(job.jobId));
+        running?.cancel();
+    }
+
+    cancelPreloads() {
+        this.pendingQualities.forEach(job => job.cancel());
+        this.pendingQualities.clear();
+    }
+
+    // Cancel button in the preview overlay: abort the job and leave the option to be loaded on click
+    cancelPreview() {
+        this.previewJob?.cancel();
+        this.previewJob = null;
+        this.previewRequestId++;
+        this.ui.hidePreviewLoading();
+        if (this.quality === 'target') {
+            this.ui.showTargetResult('Search cancelled', 'error');
+        } else {
+            this.ui.unlockQuality(this.quality, 'Click to load');
+        }
+    }
+
+    // "Fit under N MB": let the worker search for the highest quality under the limit
+    async findTargetSize() {
+        if (!this.file) return;
+
+        const megabytes = parseFloat(Utils.$('targetSizeMB').value);
+        if (!(megabytes > 0)) {
+            alert('Please enter a target size in MB');
+            return;
+        }
+        const maxBytes = Math.floor(megabytes * 1024 * 1024);
+
+        // Takes over the preview like selecting a quality option
+        this.preloadPaused = true;
+        const requestId = ++this.previewRequestId;
+        const isOutdated = () => requestId !== this.previewRequestId;
+        this.ui.hidePreviewLoading();
+
+        this.quality = 'target';
+        this.targetSize = maxBytes;
+        this.toggleCustomPanel();
+        this.ui.setQualityActive(Utils.$('targetSizePanel'));
+        document.querySelectorAll('.quality-radio').forEach(radio => { radio.checked = false; });
+
+        const file = this.file;
+        const request = this.resultRequest('target');
+        const cacheKey = this.cache.generateKey('target', request);
+        if (this.cache.has(cacheKey) || await this.restoreResult(file, 'target', request)) {
+            if (isOutdated()) return;
+            console.log('Target size cached, showing immediately:', cacheKey);
+            this.showCachedPreview(cacheKey);
+            return;
+        }
+
+        const btn = Utils.$('targetSizeBtn');
+        btn.disabled = true;
+        this.ui.clearTargetAttempts();
+        this.ui.showTargetResult(`Searching for the best quality under ${Utils.formatFileSize(maxBytes)}...`, 'pending');
+        this.ui.showPreviewLoading(() => this.cancelPreview());
+
+        try {
+            this.worker.init();
+            this.previewJob = this.worker.compressToSize(
+                file,
+                maxBytes,
+                (attempt) => this.ui.addTargetAttempt(attempt),
+                { ...this.jobOptions(), priority: true }
+            );
+            this.makeRoom();
+            const { buffer, settings } = await this.previewJob;
+            this.previewJob = null;
+
+            const blob = new Blob([buffer], { type: 'application/pdf' });
+            const url = URL.createObjectURL(blob);
+            this.cache.set(cacheKey, blob, url);
+            this.storeResult(file, 'target', request, blob);
+
+            this.ui.showTargetResult(settings
+                ? `Best fit: ${settings.dpi} DPI, JPEG quality ${settings.jpegQuality} → ${Utils.formatFileSize(blob.size)}`
+                : `The original already fits (${Utils.formatFileSize(blob.size)})`, 'success');
+
+            if (isOutdated()) {
+                console.log('Target size request outdated, cached for later');
+                return;
             }
+
+            Utils.show('previewSection');
+            Utils.show('compressBtn');
+            await this.renderer.load(url);
+            if (!isOutdated()) this.updatePreviewSize(blob.size);
+        } catch (error) {
+            if (isCancelled(error)) {
+                console.log('Target size search cancelled');
+            } else if (error.code === 'TARGET_UNREACHABLE') {
+                this.ui.showTargetResult(
+                    `Cannot fit under ${Utils.formatFileSize(maxBytes)}: even the lowest setting produces ${Utils.formatFileSize(error.smallestSize)}.`,
+                    'error'
+                );
+            } else {
+                this.ui.showTargetResult(`Search failed: ${error.message}`, 'error');
+                errorPanel.show('Target size search failed', error);
+            }
+            if (!isOutdated()) Utils.hide('compressBtn');
+        } finally {
+            btn.disabled = false;
+            if (!isOutdated()) this.ui.hidePreviewLoading();
         }
+
+        if (isOutdated()) return;
+
+        // Resume background preloading
+        this.preloadPaused = false;
+        this.preloadAllQualities();
     }
 
     validateFile(file) {
-        if (file.type !== 'application/pdf') {
-            alert('Please select a PDF file');
+        if (!Utils.isPDF(file)) {
+            alert('Please select a PDF, PostScript or EPS file, or JPEG/PNG images to build a PDF');
             return false;
         }
-        // if (file.size > 50 * 1024 * 1024) {
-        //     alert('File size exceeds 50MB limit');
-        //     return false;
-        // }
+        // No size limit: the file goes to the worker as is, and PreviewCache keeps previews within its memory budget
         return true;
     }
 
     async handleFile(event) {
-        const file = event.target.files[0];
+        const files = Array.from(event.target.files || []);
+        if (files.some(f => Utils.isImage(f))) {
+            this.handleImages(files);
+            return;
+        }
+        if (files.length > 1) {
+            this.handleBatch(files);
+            return;
+        }
+
+        const file = files[0];
+        if (file && Utils.isPostScript(file)) {
+            this.handlePostScript(file);
+            return;
+        }
         if (!file || !this.validateFile(file)) return;
 
+        this.batch.reset();
+        this.imageBuilder.reset();
+
         // Invalidate all pending preview requests
         this.previewRequestId++;
         this.preloadPaused = false;
         this.pendingQualities.clear();  // Clear pending tracking
-        this.isPreloading = false;  // Allow new preload to start
         
-        // Reset worker for fresh WASM state
-        this.worker.reset();
+        // Stop the previous file's jobs; aborting a running one also gives the worker a fresh WASM state
+        this.worker.cancelAll();
         
         this.file = file;
+        this.setView('page');
+        this.compare.clear();
         this.cache.clear();
         this.renderer.clear();
         
@@ -565,10 +2618,14 @@ class PDFCompressor {
 
         // Reset quality to original and update UI selection
         this.quality = 'original';
+        this.targetSize = null;
+        this.toggleCustomPanel();
+        this.ui.clearTargetAttempts();
         const defaultOpt = document.querySelector('[data-quality="original"]');
         if (defaultOpt) this.ui.setQualityActive(defaultOpt);
 
         this.showInitialUI();
+        errorPanel.hide();
         this.ui.updateLoading('Loading file...', 50);
         await Utils.delay(100);
 
@@ -584,8 +2641,22 @@ class PDFCompressor {
         
         Utils.show('previewSection');
         Utils.show('compressBtn');
-        await this.renderer.load(originalUrl);
+        const opened = await this.openOriginal(originalUrl);
+        if (this.file !== file) return;  // Another file was chosen while the password prompt was open
+        if (!opened) {
+            this.reset();
+            return;
+        }
+        this.metrics.load(originalUrl, this.password);
+        this.metadataPanel.load(this.renderer);
+        this.compare.setPassword(this.password);
         this.updatePreviewSize(file.size);
+        this.pageEditor.load(file, this.password);
+
+        // Presets computed in an earlier visit unlock without running Ghostscript
+        this.ui.updateLoading('Checking saved results...', 90);
+        await this.restoreResults(file);
+        if (this.file !== file) return;
 
         this.ui.updateLoading('Complete!', 100);
         await Utils.delay(200);
@@ -596,106 +2667,176 @@ class PDFCompressor {
         this.preloadAllQualities();
     }
 
+    // Render the original, asking for its password until PDF.js accepts one; false if the user cancels
+    async openOriginal(url) {
+        const sections = ['loadingSection', 'previewSection', 'compressBtn'];
+        this.password = null;
+        this.renderer.password = null;
+
+        for (;;) {
+            try {
+                await this.renderer.load(url);
+                return true;
+            } catch (err) {
+                if (!isPasswordError(err)) throw err;
+                sections.forEach(id => Utils.hide(id));
+                const password = await this.passwordPrompt.ask(this.file.name, err.code === PASSWORD_INCORRECT);
+                if (password === null) return false;
+                sections.forEach(id => Utils.show(id));
+                this.password = password;
+                this.renderer.password = password;
+            }
+        }
+    }
+
+    // PostScript/EPS is converted to PDF in the worker first; the PDF then takes the normal path
+    async handlePostScript(file) {
+        this.reset();
+        const requestId = this.previewRequestId;
+
+        this.showInitialUI();
+        this.ui.updateLoading('Converting PostScript to PDF...', 30);
+        try {
+            const { buffer } = await convertPostScript(file, {
+                worker: this.worker,
+                onProgress: (progress) => this.ui.updateLoading(`Converting PostScript to PDF... ${Utils.formatProgress(progress)}`, 30)
+            });
+            if (requestId !== this.previewRequestId) return;  // Another file was chosen meanwhile
+
+            const pdf = new File([buffer], `${Utils.baseName(file.name)}.pdf`, { type: 'application/pdf' });
+            console.log(`Converted ${file.name} to PDF (${Utils.formatFileSize(pdf.size)})`);
+            await this.handleFile({ target: { files: [pdf] } });
+        } catch (err) {
+            if (requestId !== this.previewRequestId) return;
+            console.error('PostScript conversion failed:', err);
+            Utils.hide('loadingSection');
+            errorPanel.show('PostScript conversion failed', err);
+        }
+    }
+
+    // Photos go to the image builder; the PDF it builds comes back through handleFile
+    handleImages(files) {
+        // Leave single-file and batch mode, unless images are being added to the builder
+        if (!this.imageBuilder.items.length) this.reset();
+        this.imageBuilder.add(files);
+    }
+
+    handleBatch(files) {
+        const pdfs = files.filter(f => Utils.isPDF(f));
+        if (!pdfs.length) {
+            alert('Please select PDF files');
+            return;
+        }
+        if (pdfs.length < files.length) {
+            alert(`Skipping ${files.length - pdfs.length} non-PDF file(s)`);
+        }
+
+        // Leave single-file mode; reset() also stops its jobs
+        this.reset();
+        this.batch.load(pdfs);
+    }
+
+    // Queue every uncached preset at once; the worker pool runs as many side by side as it has workers,
+    // and priority jobs from the preview still go first. Presets already queued are not queued again.
     async preloadAllQualities() {
-        // Prevent concurrent preload loops
-        if (this.isPreloading) {
-            console.log('Preload already in progress, skipping');
+        if (this.preloadPaused) {
+            console.log('Preload paused, not starting');
             return;
         }
         
         const qualities = ['low', 'medium', 'fair', 'good', 'high'];
         const currentFile = this.file; // Track which file we're preloading for
+        const colorOptions = this.colorOptions();  // ...and which color mode
+        const keyFor = (quality) => this.cache.generateKey(quality, colorOptions);
+        const isStale = () => this.file !== currentFile ||
+            this.colorMode !== colorOptions.colorMode || this.threshold !== colorOptions.threshold;
         
-        // Check if all qualities are already cached
-        const allCached = qualities.every(q => this.cache.has(q));
-        if (allCached) {
+        // Presets restored from the result store or cached for this color mode are selectable right away;
+        // lockAllQualities() ran before this on a new file or color mode
+        const uncached = qualities.filter(quality => !this.unlockCached(quality, keyFor(quality)));
+        if (!uncached.length) {
             console.log('All qualities already cached');
             return;
         }
         
-        this.isPreloading = true;
-        this.worker.init();
+        // Every preset can be as large as the input, so big files only get previews on demand
+        if (currentFile.size * qualities.length > this.cache.budget) {
+            console.log('File too large to preload every preset within the memory budget');
+            uncached.forEach(q => this.ui.unlockQuality(q, 'Click to load'));
+            return;
+        }
         
-        const fileBuffer = await currentFile.arrayBuffer();
+        this.worker.init();
         
-        // Helper to unlock all uncached qualities when stopping early
-        const unlockRemaining = () => {
-            for (const q of qualities) {
-                if (!this.cache.has(q)) {
-                    this.ui.unlockQuality(q, 'Click to load');
-                }
+        const jobs = uncached.map(quality => {
+            const key = keyFor(quality);
+            
+            // Skip if already being processed (prevents duplicate queueing)
+            if (this.pendingQualities.has(key)) {
+                console.log(`Skipping ${quality} - already in progress`);
+                return null;
             }
-        };
+            
+            return this.preloadQuality(currentFile, quality, key, colorOptions, isStale);
+        });
         
-        for (const quality of qualities) {
-            // Stop if file changed
-            if (this.file !== currentFile) {
-                console.log('File changed, stopping preload');
-                unlockRemaining();
-                this.isPreloading = false;
-                return;
-            }
+        await Promise.all(jobs);
+        if (!isStale()) console.log('All qualities preloaded!');
+    }
+
+    // Unlock a preset whose output is cached (measuring it if needed) or was dropped for memory (loaded again
+    // when selected); false if it still has to be generated
+    unlockCached(quality, key) {
+        if (this.cache.has(key)) {
+            const cached = this.cache.get(key);
+            this.ui.unlockQuality(quality, Utils.formatFileSize(cached.blob?.size || 0));
+            if (!this.metrics.has(quality)) this.metrics.measure(quality, cached.blob);
+            return true;
+        }
+        if (this.cache.wasEvicted(key)) {
+            this.ui.unlockQuality(quality, 'Click to load');
+            return true;
+        }
+        return false;
+    }
+
+    async preloadQuality(file, quality, key, colorOptions, isStale) {
+        console.log(`Preloading ${quality}...`);
+        const job = this.worker.compress(file, quality, null, { ...colorOptions, password: this.password });
+        this.pendingQualities.set(key, job);  // Mark as in progress
+        
+        try {
+            const { buffer } = await job;
             
-            // Pause if user is interacting with quality options
-            if (this.preloadPaused) {
-                console.log('Preload paused, stopping');
-                unlockRemaining();
-                this.isPreloading = false;
+            // Check again after compression
+            if (isStale()) {
+                console.log('File changed during compression, discarding result');
                 return;
             }
             
-            // Skip if already cached
-            if (this.cache.has(quality)) {
-                // Still unlock it in case UI wasn't updated
-                const cached = this.cache.get(quality);
-                this.ui.unlockQuality(quality, Utils.formatFileSize(cached.blob?.size || 0));
-                continue;
-            }
-            
-            // Skip if already being processed (prevents duplicate queueing)
-            if (this.pendingQualities.has(quality)) {
-                console.log(`Skipping ${quality} - already in progress`);
-                continue;
-            }
+            const blob = new Blob([buffer], { type: 'application/pdf' });
+            const url = URL.createObjectURL(blob);
+            this.cache.set(key, blob, url);
+            this.metrics.measure(quality, blob);
+            this.storeResult(file, quality, colorOptions, blob);
+            console.log(`Preloaded ${quality}: ${Utils.formatFileSize(blob.size)}`);
             
-            try {
-                console.log(`Preloading ${quality}...`);
-                this.pendingQualities.add(quality);  // Mark as in progress
-                
-                const { buffer } = await this.worker.compress(fileBuffer, quality, null);
-                
-                this.pendingQualities.delete(quality);  // Remove from pending
-                
-                // Check again after compression
-                if (this.file !== currentFile || this.preloadPaused) {
-                    console.log('File changed or paused during compression, discarding result');
-                    // Unlock all remaining uncached qualities
-                    unlockRemaining();
-                    this.isPreloading = false;
-                    return;
-                }
-                
-                const blob = new Blob([buffer], { type: 'application/pdf' });
-                const url = URL.createObjectURL(blob);
-                this.cache.set(quality, blob, url);
-                console.log(`Preloaded ${quality}: ${Utils.formatFileSize(blob.size)}`);
-                
-                // Unlock this quality option with file size
-                this.ui.unlockQuality(quality, Utils.formatFileSize(blob.size));
-                
-                // Small delay between compressions to let WASM recover
-                await Utils.delay(100);
-            } catch (err) {
-                this.pendingQualities.delete(quality);  // Remove from pending on error
-                console.error(`Failed to preload ${quality}:`, err);
-                // Unlock with error indicator
-                this.ui.unlockQuality(quality, 'Error - retry');
-                // Continue with other qualities even if one fails
-                await Utils.delay(200);
+            // Unlock this quality option with file size
+            this.ui.unlockQuality(quality, Utils.formatFileSize(blob.size));
+        } catch (err) {
+            if (isStale()) return;
+            if (isCancelled(err)) {
+                console.log(`Preload of ${quality} cancelled`);
+                this.ui.unlockQuality(quality, 'Click to load');
+                return;
             }
+            console.error(`Failed to preload ${quality}:`, err);
+            // Unlock with error indicator
+            this.ui.unlockQuality(quality, 'Error - retry');
+        } finally {
+            // Remove from pending unless a newer preload of this key replaced it
+            if (this.pendingQualities.get(key) === job) this.pendingQualities.delete(key);
         }
-        this.isPreloading = false;
-        console.log('All qualities preloaded!');
     }
 
     showInitialUI() {
@@ -711,7 +2852,7 @@ class PDFCompressor {
     }
 
     getCacheKey() {
-        return this.quality;
+        return this.cache.generateKey(this.quality, this.resultRequest(this.quality));
     }
 
     updatePreviewSize(sizeInBytes) {
@@ -748,40 +2889,79 @@ class PDFCompressor {
     }
 
     async save() {
+        const pages = this.pageEditor.getSequence();
+        const encrypt = this.encryptOptions();
+        if (encrypt && !encrypt.userPassword && !encrypt.ownerPassword) {
+            alert('Please enter a password to protect the output');
+            return;
+        }
+        if (encrypt && this.pdfa) {
+            alert('PDF/A files cannot be password protected; turn off one of the two options');
+            return;
+        }
+        const metadata = this.metadataPanel.options();
+        if (pages || this.pdfa || encrypt || metadata) {
+            await this.saveConverted({ pages, encrypt, metadata });
+            return;
+        }
+
         const cached = this.cache.get(this.getCacheKey());
         if (!cached) {
             alert('Please wait for preview to load first');
             return;
         }
 
+        // The preview already holds the output, so there is nothing to wait for
+        Utils.hide('compressBtn');
+        Utils.hide('previewSection');
+        this.compressedBlob = cached.blob;
+        this.ui.displayResults(this.file.size, this.compressedBlob.size);
+        this.ui.displayPDFAReport(null);
+    }
+
+    // Page edits, PDF/A conversion, encryption and metadata are applied in the same Ghostscript pass as the selected quality
+    async saveConverted({ pages = null, encrypt = null, metadata = null }) {
         Utils.hide('compressBtn');
         Utils.hide('previewSection');
         Utils.show('progressSection');
         Utils.$('progressDetails').innerHTML = '';
+        const step = this.pdfa ? 'Converting to PDF/A...' : encrypt ? 'Encrypting...'
+            : pages ? 'Applying page edits...' : 'Updating document properties...';
+        this.ui.updateProgress(0, step);
 
-        this.ui.updateProgress(50, 'Preparing compressed file...');
-        this.compressedBlob = cached.blob;
-        this.ui.updateProgress(100, 'Complete!');
-
-        await Utils.delay(500);
-        Utils.hide('progressSection');
-        this.ui.displayResults(this.file.size, this.compressedBlob.size);
+        try {
+            const { buffer, stats } = await compressPDF(this.file, {
+                quality: this.quality,
+                customSettings: this.customSettings,
+                targetSize: this.quality === 'target' ? this.targetSize : null,
+                worker: this.worker,
+                pages,
+                pdfa: this.pdfa,
+                encrypt,
+                metadata,
+                ...this.jobOptions(),
+                priority: true,
+                onProgress: (progress) => this.ui.updateProgress(progress.percent ?? 0, `${step} ${Utils.formatProgress(progress)}`)
+            });
+            this.compressedBlob = new Blob([buffer], { type: 'application/pdf' });
+            this.ui.updateProgress(100, 'Complete!');
+
+            await Utils.delay(500);
+            Utils.hide('progressSection');
+            this.ui.displayResults(this.file.size, this.compressedBlob.size);
+            this.ui.displayPDFAReport(stats.report);
+        } catch (err) {
+            console.error('Failed to save:', err);
+            errorPanel.show('Failed to save', err);
+            Utils.hide('progressSection');
+            Utils.show('previewSection');
+            Utils.show('compressBtn');
+        }
     }
 
     download() {
         if (!this.compressedBlob) return;
-
-        const name = this.file.name;
-        const baseName = name.substring(0, name.lastIndexOf('.'));
-        
-        const url = URL.createObjectURL(this.compressedBlob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${baseName}_compressed.pdf`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        Utils.downloadBlob(this.compressedBlob, `${Utils.baseName(this.file.name)}_compressed.pdf`);
     }
 
     reset() {
@@ -789,14 +2969,31 @@ class PDFCompressor {
         this.previewRequestId++;
         this.preloadPaused = false;
         this.pendingQualities.clear();  // Clear pending tracking
-        this.isPreloading = false;  // Allow new preload to start
         
+        // Stop running jobs (batch, preview, preloads) so their results are not applied after reset
+        this.worker.cancelAll();
+        this.previewJob = null;
+        this.batch.reset();
+        this.imageBuilder.reset();
+
+        this.setView('page');
+        this.compare.clear();
+        this.metrics.clear();
         this.cache.clear();
         this.renderer.clear();
+        this.pageEditor.clear();
+        this.ui.displayPDFAReport(null);
+        errorPanel.hide();
+        this.passwordPrompt.finish(null);
+        this.password = null;
+        this.metadataPanel.clear();
         
         this.file = null;
         this.compressedBlob = null;
         this.quality = 'original';
+        this.targetSize = null;
+        this.toggleCustomPanel();
+        this.ui.clearTargetAttempts();
 
         Utils.$('pdfFile').value = '';
         ['loadingSection', 'fileInfo', 'compressionOptions', 'compressBtn', 'progressSection', 'resultSection', 'previewSection']
@@ -810,5 +3007,13 @@ class PDFCompressor {
     }
 }
 
-// Initialize the application
-new PDFCompressor();
+// Exported for the tests in test/; the page only loads this module for its side effects
+export { PDFCompressor, MergeTool, SplitTool, ImagesTool };
+
+// Initialize the application; every tool queues its jobs on one pool of Ghostscript workers
+const pool = new CompressionWorker(undefined, { log: console.log });
+new PDFCompressor(pool);
+new MergeTool(pool);
+new SplitTool(pool);
+new ImagesTool(pool);
+new ToolTabs();
@@ -0,0 +1,1505 @@
+/**
+ * PDF Core - DOM-free building blocks for Ghostscript WASM compression
+ * Import this module to embed compression without the index.html UI
+ */
+
+import { GhostscriptEngine, parseQuality } from './gs-engine.js';
+
+// ============================================================================= //
+// HELPERS
+// ============================================================================= //
+export function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+export function baseName(filename) {
+    const dot = filename.lastIndexOf('.');
+    return dot > 0 ? filename.substring(0, dot) : filename;
+}
+
+// ============================================================================= //
+// PAGE LISTS
+// ============================================================================= //
+/**
+ * Parse a page list such as "1,3-5,10-" into [first, last] ranges.
+ * "-5" means 1-5 and "10-" runs to the last page. Throws on malformed or out-of-range input.
+ */
+export function parsePageList(text, numPages) {
+    const ranges = [];
+    for (const part of String(text).split(',').map(p => p.trim()).filter(Boolean)) {
+        const match = /^(\d*)\s*(-?)\s*(\d*)$/.exec(part);
+        if (!match || (!match[1] && !match[3])) throw new Error(`Invalid page range "${part}"`);
+
+        const first = match[1] ? Number(match[1]) : 1;
+        const last = match[2] ? (match[3] ? Number(match[3]) : numPages) : first;
+        if (first < 1 || last > numPages || first > last) {
+            throw new Error(`Page range "${part}" is outside 1-${numPages}`);
+        }
+        ranges.push([first, last]);
+    }
+    if (!ranges.length) throw new Error('No pages selected');
+    return ranges;
+}
+
+// [1, 3, 4, 5] -> "1,3-5"
+export function formatPageList(pages) {
+    const sorted = [...new Set(pages)].sort((a, b) => a - b);
+    const parts = [];
+    for (let i = 0; i < sorted.length; i++) {
+        const first = sorted[i];
+        while (sorted[i + 1] === sorted[i] + 1) i++;
+        parts.push(first === sorted[i] ? `${first}` : `${first}-${sorted[i]}`);
+    }
+    return parts.join(',');
+}
+
+/**
+ * Work out the output files of a split as Ghostscript page lists.
+ * mode "pages": the ranges in pages (one file, or one per range when separate is set),
+ * "every": chunks of every pages, "single": one file per page.
+ * @returns {string[]} One page list per output file
+ */
+export function planSplit({ mode = 'pages', pages = '', every = 1, separate = false, numPages }) {
+    const range = (first, last) => first === last ? `${first}` : `${first}-${last}`;
+
+    if (mode === 'single') {
+        return Array.from({ length: numPages }, (_, i) => `${i + 1}`);
+    }
+
+    if (mode === 'every') {
+        const size = Math.max(1, Math.floor(Number(every)) || 1);
+        const parts = [];
+        for (let first = 1; first <= numPages; first += size) {
+            parts.push(range(first, Math.min(first + size - 1, numPages)));
+        }
+        return parts;
+    }
+
+    const ranges = parsePageList(pages, numPages).map(([first, last]) => range(first, last));
+    return separate ? ranges : [ranges.join(',')];
+}
+
+// ============================================================================= //
+// PAGE EDITS (rotate, delete, reorder before generating output)
+// ============================================================================= //
+export class PageEdits {
+    constructor(numPages) {
+        this.numPages = numPages;
+        this.reset();
+    }
+
+    reset() {
+        this.pages = Array.from({ length: this.numPages }, (_, i) => ({ page: i + 1, rotation: 0 }));
+    }
+
+    // delta in degrees, clockwise (multiples of 90)
+    rotate(index, delta) {
+        const entry = this.pages[index];
+        entry.rotation = ((entry.rotation + delta) % 360 + 360) % 360;
+    }
+
+    remove(index) {
+        this.pages.splice(index, 1);
+    }
+
+    move(from, to) {
+        const [entry] = this.pages.splice(from, 1);
+        this.pages.splice(to, 0, entry);
+    }
+
+    isEdited() {
+        return this.pages.length !== this.numPages ||
+            this.pages.some((entry, i) => entry.page !== i + 1 || entry.rotation !== 0);
+    }
+
+    // Sequence for the worker's "pages" option, or null when nothing changed
+    toSequence() {
+        return this.isEdited() ? this.pages.map(({ page, rotation }) => ({ page, rotation })) : null;
+    }
+}
+
+// ============================================================================= //
+// PDF RENDERER (PDF.js wrapper)
+// ============================================================================= //
+// PDF.js rejects encrypted documents with a PasswordException; code 2 means the given password was wrong
+export const PASSWORD_INCORRECT = 2;
+
+export function isPasswordError(err) {
+    return err?.name === 'PasswordException';
+}
+
+// Dispatches "pagechange" ({ detail: { page, numPages, selected } }) after every render
+// and "selectionchange" ({ detail: { pages } }) when the page selection changes
+export class PDFRenderer extends EventTarget {
+    constructor(canvas, { container = canvas.parentElement, pdfjs = null, minWidth = 800, password = null } = {}) {
+        super();
+        this.canvas = canvas;
+        this.container = container;
+        this.pdfjs = pdfjs;  // Defaults to the global pdfjsLib at load time
+        this.minWidth = minWidth;
+        this.password = password;  // Used for encrypted documents, ignored by unencrypted ones
+        this.doc = null;
+        this.currentPage = 1;
+        this.selectedPages = new Set();
+    }
+
+    // Load a document without rendering it; returns the page count.
+    // Encrypted documents reject with a PasswordException (see isPasswordError) unless this.password opens them.
+    async open(source) {
+        const pdfjs = this.pdfjs ?? globalThis.pdfjsLib;
+        const params = typeof source === 'string' || source instanceof URL ? { url: source }
+            : source instanceof ArrayBuffer || ArrayBuffer.isView(source) ? { data: source } : source;
+        this.doc = await pdfjs.getDocument(this.password ? { ...params, password: this.password } : params).promise;
+        return this.doc.numPages;
+    }
+
+    // { info: { Title, Author, ..., Custom }, hasXMP } of the open document, from PDF.js getMetadata()
+    async getMetadata() {
+        if (!this.doc) return null;
+        const { info, metadata } = await this.doc.getMetadata();
+        return { info: info ?? {}, hasXMP: Boolean(metadata) };
+    }
+
+    async load(source, startPage = 1) {
+        const previousPage = this.currentPage;
+        await this.open(source);
+        
+        // Use startPage if provided, otherwise try to keep previous page (clamped to valid range)
+        const targetPage = startPage > 1 ? startPage : Math.min(previousPage, this.doc.numPages);
+        this.currentPage = targetPage;
+        await this.renderPage(targetPage);
+        return this.doc.numPages;
+    }
+
+    async renderPage(pageNum) {
+        if (!this.doc) return;
+        
+        const page = await this.doc.getPage(pageNum);
+        const ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        
+        const containerWidth = Math.max(this.container.clientWidth - 40, this.minWidth);
+        const viewport = page.getViewport({ scale: 1.0 });
+        const scale = containerWidth / viewport.width;
+        const scaledViewport = page.getViewport({ scale });
+
+        this.canvas.width = scaledViewport.width;
+        this.canvas.height = scaledViewport.height;
+
+        await page.render({ canvasContext: ctx, viewport: scaledViewport }).promise;
+        this.currentPage = pageNum;
+        
+        this.dispatchEvent(new CustomEvent('pagechange', {
+            detail: { page: this.currentPage, numPages: this.doc.numPages, selected: this.isPageSelected() }
+        }));
+    }
+
+    isPageSelected(pageNum = this.currentPage) {
+        return this.selectedPages.has(pageNum);
+    }
+
+    getSelectedPages() {
+        return [...this.selectedPages].sort((a, b) => a - b);
+    }
+
+    togglePageSelection(pageNum = this.currentPage) {
+        if (!this.selectedPages.delete(pageNum)) this.selectedPages.add(pageNum);
+        this.emitSelection();
+    }
+
+    setSelectedPages(pages) {
+        const numPages = this.doc?.numPages ?? Infinity;
+        this.selectedPages = new Set(pages.filter(p => p >= 1 && p <= numPages));
+        this.emitSelection();
+    }
+
+    emitSelection() {
+        this.dispatchEvent(new CustomEvent('selectionchange', { detail: { pages: this.getSelectedPages() } }));
+    }
+
+    // Render a page at a fixed width onto any canvas (thumbnails), leaving the main canvas alone
+    async renderPageTo(pageNum, canvas, width) {
+        if (!this.doc) return;
+
+        const page = await this.doc.getPage(pageNum);
+        const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1.0 }).width });
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    }
+
+    prevPage() {
+        if (this.currentPage > 1) this.renderPage(this.currentPage - 1);
+    }
+
+    nextPage() {
+        if (this.doc && this.currentPage < this.doc.numPages) {
+            this.renderPage(this.currentPage + 1);
+        }
+    }
+
+    clear() {
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.canvas.width = this.canvas.height = 0;
+        this.doc = null;
+        this.currentPage = 1;
+        this.selectedPages.clear();
+    }
+
+    // Release the PDF.js document (for renderers used only for thumbnails)
+    async close() {
+        await this.doc?.destroy();
+        this.doc = null;
+    }
+}
+
+// ============================================================================= //
+// IMAGE COMPARISON
+// ============================================================================= //
+/**
+ * Highlight pixels that changed between two renders of the same page.
+ * original and compressed are ImageData-like ({ width, height, data }) of equal size.
+ * Returns RGBA data with the original faded to light gray and changed pixels in red,
+ * plus the share of pixels whose largest channel difference exceeds threshold (0-255).
+ */
+export function diffImages(original, compressed, { threshold = 48 } = {}) {
+    const { width, height } = original;
+    const a = original.data;
+    const b = compressed.data;
+    const data = new Uint8ClampedArray(width * height * 4);
+    let changedPixels = 0;
+
+    for (let i = 0; i < data.length; i += 4) {
+        const delta = Math.max(Math.abs(a[i] - b[i]), Math.abs(a[i + 1] - b[i + 1]), Math.abs(a[i + 2] - b[i + 2]));
+        if (delta > threshold) {
+            changedPixels++;
+            data[i] = 255;
+            data[i + 1] = data[i + 2] = 0;
+        } else {
+            // Faded grayscale context so the highlights stand out
+            const gray = 180 + (0.299 * a[i] + 0.587 * a[i + 1] + 0.114 * a[i + 2]) * 75 / 255;
+            data[i] = data[i + 1] = data[i + 2] = gray;
+        }
+        data[i + 3] = 255;
+    }
+
+    return { data, changedPixels, changedRatio: changedPixels / (width * height || 1) };
+}
+
+// ============================================================================= //
+// QUALITY METRICS (PSNR / SSIM against the original)
+// ============================================================================= //
+// ImageData-like RGBA -> { width, height, luma } with Rec. 601 luminance per pixel
+export function toLuma({ width, height, data }) {
+    const luma = new Float32Array(width * height);
+    for (let i = 0, p = 0; p < luma.length; i += 4, p++) {
+        luma[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+    return { width, height, luma };
+}
+
+// Peak signal-to-noise ratio in dB over the shared area (identical images report 100)
+export function psnr(a, b) {
+    const width = Math.min(a.width, b.width);
+    const height = Math.min(a.height, b.height);
+    let sum = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const d = a.luma[y * a.width + x] - b.luma[y * b.width + x];
+            sum += d * d;
+        }
+    }
+    const mse = sum / (width * height || 1);
+    return mse === 0 ? 100 : 10 * Math.log10(255 * 255 / mse);
+}
+
+// Mean structural similarity over non-overlapping blockSize x blockSize windows (1 = identical)
+export function ssim(a, b, blockSize = 8) {
+    const C1 = (0.01 * 255) ** 2;
+    const C2 = (0.03 * 255) ** 2;
+    const width = Math.min(a.width, b.width);
+    const height = Math.min(a.height, b.height);
+    const n = blockSize * blockSize;
+    let total = 0;
+    let blocks = 0;
+
+    for (let by = 0; by + blockSize <= height; by += blockSize) {
+        for (let bx = 0; bx + blockSize <= width; bx += blockSize) {
+            let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+            for (let y = by; y < by + blockSize; y++) {
+                for (let x = bx; x < bx + blockSize; x++) {
+                    const va = a.luma[y * a.width + x];
+                    const vb = b.luma[y * b.width + x];
+                    sumA += va;
+                    sumB += vb;
+                    sumAA += va * va;
+                    sumBB += vb * vb;
+                    sumAB += va * vb;
+                }
+            }
+            const meanA = sumA / n;
+            const meanB = sumB / n;
+            const varA = sumAA / n - meanA * meanA;
+            const varB = sumBB / n - meanB * meanB;
+            const cov = sumAB / n - meanA * meanB;
+            total += ((2 * meanA * meanB + C1) * (2 * cov + C2)) /
+                ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+            blocks++;
+        }
+    }
+    return blocks ? total / blocks : 1;
+}
+
+/**
+ * Scores compressed versions of a document against its original, page by page.
+ * Original pages are rasterized once and reused for every measure() call. Documents with
+ * more than maxPages pages are sampled at evenly spread pages.
+ */
+export class QualityMeter {
+    constructor(originalSource, {
+        width = 400,
+        maxPages = 30,
+        pdfjs = null,
+        password = null,
+        createCanvas = () => document.createElement('canvas')
+    } = {}) {
+        this.originalSource = originalSource;
+        this.password = password;  // Opens an encrypted original
+        this.width = width;
+        this.maxPages = maxPages;
+        this.pdfjs = pdfjs;
+        this.createCanvas = createCanvas;
+        this.pages = null;
+        this.originalLuma = new Map();  // page -> luma of the original render
+    }
+
+    samplePages(numPages) {
+        if (!this.maxPages || numPages <= this.maxPages) {
+            return Array.from({ length: numPages }, (_, i) => i + 1);
+        }
+        const step = (numPages - 1) / (this.maxPages - 1);
+        return [...new Set(Array.from({ length: this.maxPages }, (_, i) => Math.round(1 + i * step)))];
+    }
+
+    async renderLuma(renderer, page) {
+        const canvas = this.createCanvas();
+        await renderer.renderPageTo(page, canvas, this.width);
+        return toLuma(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height));
+    }
+
+    async renderOriginal() {
+        const renderer = new PDFRenderer(this.createCanvas(), { pdfjs: this.pdfjs, password: this.password });
+        try {
+            this.pages = this.samplePages(await renderer.open(this.originalSource));
+            for (const page of this.pages) {
+                this.originalLuma.set(page, await this.renderLuma(renderer, page));
+            }
+        } finally {
+            await renderer.close();
+        }
+    }
+
+    /**
+     * @returns {Promise<{ pages: Array<{ page, psnr, ssim }>, psnr: number, ssim: number, worst: { page, psnr, ssim }, sampled: boolean }>}
+     * psnr/ssim are page means; worst is the page with the lowest SSIM.
+     */
+    async measure(compressedSource) {
+        if (!this.pages) await this.renderOriginal();
+
+        const renderer = new PDFRenderer(this.createCanvas(), { pdfjs: this.pdfjs });
+        const results = [];
+        try {
+            const numPages = await renderer.open(compressedSource);
+            for (const page of this.pages) {
+                const compressed = await this.renderLuma(renderer, page);
+                const original = this.originalLuma.get(page);
+                results.push({ page, psnr: psnr(original, compressed), ssim: ssim(original, compressed) });
+            }
+
+            const mean = (key) => results.reduce((sum, r) => sum + r[key], 0) / results.length;
+            return {
+                pages: results,
+                psnr: mean('psnr'),
+                ssim: mean('ssim'),
+                worst: results.reduce((worst, r) => r.ssim < worst.ssim ? r : worst),
+                sampled: this.pages.length < numPages
+            };
+        } finally {
+            await renderer.close();
+        }
+    }
+}
+
+// ============================================================================= //
+// COMPRESSION WORKER MANAGER
+// ============================================================================= //
+export const CompressionEvents = {
+    QUEUED: 'queued',
+    START: 'start',
+    ATTEMPT: 'attempt',
+    PROGRESS: 'progress',
+    COMPLETE: 'complete',
+    ERROR: 'error',
+    CANCEL: 'cancel'
+};
+
+// Rejection reason of cancelled jobs
+export const CANCELLED = 'CANCELLED';
+
+export function isCancelled(err) {
+    return err?.code === CANCELLED;
+}
+
+/**
+ * Event dispatched by CompressionWorker for every job state change.
+ * attempt is set for ATTEMPT, progress ({ page, pages, percent, elapsed }) for PROGRESS, result for COMPLETE,
+ * error for ERROR.
+ */
+export class CompressionEvent extends Event {
+    constructor(type, { jobId, quality, attempt = null, progress = null, result = null, error = null }) {
+        super(type);
+        this.jobId = jobId;
+        this.quality = quality;
+        this.attempt = attempt;
+        this.progress = progress;
+        this.result = result;
+        this.error = error;
+    }
+}
+
+// Queues jobs for a pool of Ghostscript workers; listen for CompressionEvents to track them.
+// log receives the pool's status messages (silent by default).
+export class CompressionWorker extends EventTarget {
+    constructor(workerPath = new URL('./compress-worker.js', import.meta.url), {
+        poolSize = CompressionWorker.defaultPoolSize(),
+        log = () => {}
+    } = {}) {
+        super();
+        this.workerPath = workerPath;
+        this.poolSize = Math.max(1, Math.floor(poolSize));
+        this.slots = [];  // { worker, job } - job is null while the worker is idle
+        this.messageId = 0;
+        this.jobId = 0;
+        this.pendingRequests = new Map();
+        this.queue = [];
+        this.log = log;
+    }
+
+    // Every worker holds its own WASM heap plus a copy of the input, so memory limits the pool before cores do:
+    // one worker per 2 cores and per 2 GB of device memory (deviceMemory is Chromium-only), at most 4
+    static defaultPoolSize() {
+        const cores = globalThis.navigator?.hardwareConcurrency ?? 2;
+        const memory = globalThis.navigator?.deviceMemory ?? 4;
+        return Math.max(1, Math.min(4, Math.floor(cores / 2), Math.floor(memory / 2)));
+    }
+
+    get isProcessing() {
+        return this.slots.some(slot => slot.job);
+    }
+
+    // Pool slots that could start a job right now (including ones not spawned yet)
+    get idleWorkers() {
+        return this.poolSize - this.slots.filter(slot => slot.job).length;
+    }
+
+    isRunning(jobId) {
+        return this.slots.some(slot => slot.job?.id === jobId);
+    }
+
+    // Workers are spawned on demand; init() starts the first one so it can load while the caller prepares a job
+    init() {
+        if (!this.slots.length) this.spawn();
+        return this;
+    }
+
+    spawn() {
+        this.log(`Creating compression worker ${this.slots.length + 1}/${this.poolSize}...`);
+        const slot = { worker: null, job: null };
+        this.startWorker(slot);
+        this.slots.push(slot);
+        return slot;
+    }
+
+    startWorker(slot) {
+        slot.worker = new Worker(this.workerPath, { type: 'module' });
+        slot.worker.onerror = (e) => console.error('Worker error:', e);
+        slot.worker.onmessage = (e) => this.handleMessage(slot, e);
+    }
+
+    // One handler per worker; messageIds are unique across the pool
+    async handleMessage(slot, e) {
+        const { messageId, status, originalSize, compressedSize, error } = e.data;
+        
+        const pending = this.pendingRequests.get(messageId);
+        if (!pending) {
+            console.warn('Received message for unknown request:', messageId);
+            return;
+        }
+
+        // Intermediate target-size attempts don't settle the request
+        if (status === 'attempt') {
+            pending.onAttempt?.(e.data.attempt);
+            this.emit(CompressionEvents.ATTEMPT, pending.job, { attempt: e.data.attempt });
+            return;
+        }
+
+        // Page progress of the running Ghostscript pass
+        if (status === 'progress') {
+            pending.job.onProgress?.(e.data.progress);
+            this.emit(CompressionEvents.PROGRESS, pending.job, { progress: e.data.progress });
+            return;
+        }
+        
+        const { resolve, reject, job } = pending;
+        this.pendingRequests.delete(messageId);
+        // The worker is free again once it has posted the result
+        slot.job = null;
+        
+        if (status === 'success') {
+            try {
+                // Outputs arrive as transferred ArrayBuffers (split and rasterize jobs send one per part);
+                // an input returned unchanged comes back as the Blob it was sent as
+                const outputs = e.data.parts ?? [e.data.output];
+                const buffers = await Promise.all(outputs.map(output => output instanceof Blob ? output.arrayBuffer() : output));
+                const { settings, attempts, report, warnings = [] } = e.data;
+                const result = e.data.parts
+                    ? { buffers, originalSize, compressedSize, warnings }
+                    : { buffer: buffers[0], originalSize, compressedSize, settings, attempts, report, warnings };
+                this.emit(CompressionEvents.COMPLETE, job, { result });
+                resolve(result);
+            } catch (err) {
+                this.emit(CompressionEvents.ERROR, job, { error: err });
+                reject(err);
+            }
+        } else {
+            // errors: [{ code, fatal, message, detail }], log: [{ stream, text }] captured from Ghostscript
+            const { code, attempts, smallestSize, report, errors = [], log = [] } = e.data;
+            const err = Object.assign(new Error(error), { code, attempts, smallestSize, report, errors, log });
+            this.emit(CompressionEvents.ERROR, job, { error: err });
+            reject(err);
+        }
+        
+        // Process next item in queue
+        this.processNext();
+    }
+
+    // Terminate and reset all workers for fresh state. Queued and running jobs reject with code CANCELLED,
+    // so callers awaiting them can clean up.
+    reset() {
+        const jobs = [...this.queue, ...[...this.pendingRequests.values()].map(pending => pending.job)];
+        this.queue = [];
+        this.pendingRequests.clear();
+        jobs.forEach(job => this.rejectCancelled(job));
+
+        if (this.slots.length) {
+            this.log('Terminating workers for fresh state...');
+            this.slots.forEach(slot => slot.worker.terminate());
+            this.slots = [];
+        }
+        this.messageId = 0;
+    }
+
+    // Queued jobs are dropped; a running job is aborted by terminating its worker, which is respawned
+    // (loading a fresh WASM module) for the jobs behind it. The job's promise rejects with code CANCELLED.
+    // Returns false if the job already finished.
+    cancel(jobId) {
+        const index = this.queue.findIndex(job => job.id === jobId);
+        if (index !== -1) {
+            const [job] = this.queue.splice(index, 1);
+            this.rejectCancelled(job);
+            return true;
+        }
+
+        const running = [...this.pendingRequests].find(([, pending]) => pending.job.id === jobId);
+        if (!running) return false;
+
+        const [messageId, pending] = running;
+        this.log(`Cancelling running job ${jobId}, restarting its worker...`);
+        this.pendingRequests.delete(messageId);
+        const slot = this.slots.find(s => s.job?.id === jobId);
+        if (slot) {
+            slot.worker.terminate();
+            slot.job = null;
+            this.startWorker(slot);
+        }
+        this.rejectCancelled(pending.job);
+
+        this.processNext();
+        return true;
+    }
+
+    // Cancel queued jobs first so none of them starts when a running one is aborted
+    cancelAll() {
+        const jobs = [...this.queue, ...[...this.pendingRequests.values()].map(pending => pending.job)];
+        jobs.forEach(job => this.cancel(job.id));
+    }
+
+    rejectCancelled(job) {
+        this.emit(CompressionEvents.CANCEL, job);
+        job.reject(Object.assign(new Error('Job cancelled'), { code: CANCELLED }));
+    }
+
+    // Start queued jobs on idle workers, spawning new ones up to poolSize
+    processNext() {
+        while (this.queue.length) {
+            const slot = this.slots.find(s => !s.job) ?? (this.slots.length < this.poolSize ? this.spawn() : null);
+            if (!slot) return;
+            this.executeCompress(slot, this.queue.shift());
+        }
+    }
+
+    // Move a queued job to the front, behind other priority jobs; false if it is not queued
+    prioritize(jobId) {
+        const index = this.queue.findIndex(job => job.id === jobId);
+        if (index === -1) return false;
+        const [job] = this.queue.splice(index, 1);
+        job.priority = true;
+        this.insert(job);
+        return true;
+    }
+
+    // Priority jobs go ahead of all background jobs but stay in order among themselves
+    insert(job) {
+        const index = job.priority ? this.queue.findIndex(queued => !queued.priority) : -1;
+        this.queue.splice(index === -1 ? this.queue.length : index, 0, job);
+    }
+
+    emit(type, job, details = {}) {
+        this.dispatchEvent(new CompressionEvent(type, { jobId: job.id, quality: job.request.quality, ...details }));
+    }
+
+    // job: { id, fileBuffer, request: { action, quality, customDPI, targetSize, pageLists, ...compress options }, priority, resolve, reject, onAttempt, onProgress }
+    // fileBuffer is an array for "merge" requests. Blobs and Files are posted by reference and read in the worker,
+    // so large uploads never have to be loaded on the main thread; ArrayBuffers are copied and stay usable by the caller.
+    executeCompress(slot, job) {
+        const { fileBuffer, request, resolve, reject, onAttempt } = job;
+        slot.job = job;
+        const messageId = ++this.messageId;
+        
+        // Store the promise handlers
+        this.pendingRequests.set(messageId, { resolve, reject, onAttempt, job });
+
+        this.emit(CompressionEvents.START, job);
+        const inputs = request.action === 'merge' ? { inputs: fileBuffer } : { input: fileBuffer };
+        slot.worker.postMessage({ messageId, ...inputs, ...request });
+    }
+
+    // Resolves like the job; the returned promise doubles as a handle with jobId and cancel().
+    // request.priority puts the job ahead of queued background jobs (preloads); request.onProgress receives
+    // { page, pages, percent, elapsed } after every page (pages and percent are null when Ghostscript can't tell)
+    enqueue(fileBuffer, { priority = false, onProgress = null, ...request }, onAttempt = null) {
+        const id = ++this.jobId;
+        const handle = new Promise((resolve, reject) => {
+            const job = { id, fileBuffer, request, priority, resolve, reject, onAttempt, onProgress };
+            this.emit(CompressionEvents.QUEUED, job);
+
+            if (!this.idleWorkers) {
+                this.log(`Queueing ${priority ? 'priority ' : ''}job for ${request.quality} (all workers busy)`);
+            }
+            this.insert(job);
+            this.processNext();
+        });
+        return Object.assign(handle, { jobId: id, cancel: () => this.cancel(id) });
+    }
+
+    // options: { pages, colorMode, threshold, pdfa, password, encrypt, metadata } - page sequence (see PageEdits), color
+    // and PDF/A conversion, the input's password, output encryption and document info (see compressPDF);
+    // options.priority and options.onProgress work for every job type (see enqueue)
+    compress(fileBuffer, quality, customDPI = null, options = {}) {
+        return this.enqueue(fileBuffer, { quality, customDPI, ...options });
+    }
+
+    // Search for the best quality under maxBytes; onAttempt receives { dpi, jpegQuality, size, fits }
+    compressToSize(fileBuffer, maxBytes, onAttempt = null, options = {}) {
+        return this.enqueue(fileBuffer, { quality: 'target', targetSize: maxBytes, ...options }, onAttempt);
+    }
+
+    // Concatenate PDFs in array order; "original" keeps images untouched. options.passwords: one (or null) per input
+    merge(fileBuffers, quality = 'original', customDPI = null, options = {}) {
+        return this.enqueue(fileBuffers, { action: 'merge', quality, customDPI, ...options });
+    }
+
+    // One output per Ghostscript page list; resolves with { buffers, originalSize, compressedSize }.
+    // options.password opens an encrypted input
+    split(fileBuffer, pageLists, quality = 'original', customDPI = null, options = {}) {
+        return this.enqueue(fileBuffer, { action: 'split', pageLists, quality, customDPI, ...options });
+    }
+
+    // PostScript/EPS to PDF; resolves like compress
+    convert(fileBuffer, options = {}) {
+        return this.enqueue(fileBuffer, { action: 'convert', ...options });
+    }
+
+    // Render pages to images; options: { dpi, pageList, jpegQuality, password, onProgress }. Resolves like split,
+    // with one buffer per page or a single one for multipage formats
+    rasterize(fileBuffer, format = 'png', options = {}) {
+        return this.enqueue(fileBuffer, { action: 'rasterize', format, ...options });
+    }
+}
+
+// One client of a shared CompressionWorker: jobs run on the shared pool, but cancelAll() and reset() only stop
+// the jobs queued through this session, and its events only report those. Tools on one page share a single
+// pool this way instead of each starting up to defaultPoolSize() Ghostscript workers.
+export class WorkerSession extends EventTarget {
+    constructor(pool) {
+        super();
+        this.pool = pool;
+        this.jobIds = new Set();  // Jobs queued through this session that have not settled
+        for (const type of Object.values(CompressionEvents)) {
+            pool.addEventListener(type, (event) => {
+                if (this.jobIds.has(event.jobId)) this.dispatchEvent(new CompressionEvent(type, event));
+            });
+        }
+    }
+
+    get idleWorkers() {
+        return this.pool.idleWorkers;
+    }
+
+    isRunning(jobId) {
+        return this.pool.isRunning(jobId);
+    }
+
+    init() {
+        this.pool.init();
+        return this;
+    }
+
+    track(handle) {
+        this.jobIds.add(handle.jobId);
+        const settled = () => this.jobIds.delete(handle.jobId);
+        handle.then(settled, settled);
+        return handle;
+    }
+
+    compress(...args) { return this.track(this.pool.compress(...args)); }
+    compressToSize(...args) { return this.track(this.pool.compressToSize(...args)); }
+    merge(...args) { return this.track(this.pool.merge(...args)); }
+    split(...args) { return this.track(this.pool.split(...args)); }
+    convert(...args) { return this.track(this.pool.convert(...args)); }
+    rasterize(...args) { return this.track(this.pool.rasterize(...args)); }
+
+    prioritize(jobId) {
+        return this.jobIds.has(jobId) && this.pool.prioritize(jobId);
+    }
+
+    cancel(jobId) {
+        return this.jobIds.has(jobId) && this.pool.cancel(jobId);
+    }
+
+    cancelAll() {
+        [...this.jobIds].forEach(jobId => this.pool.cancel(jobId));
+    }
+
+    // The pool keeps its workers for the other sessions; a cancelled running job still restarts its worker
+    reset() {
+        this.cancelAll();
+    }
+}
+
+// ============================================================================= //
+// PREVIEW CACHE
+// ============================================================================= //
+// Least recently used entries are dropped once the previews exceed the memory budget;
+// "original" (the user's file) is never dropped
+export class PreviewCache {
+    constructor({ budget = PreviewCache.defaultBudget(), log = () => {} } = {}) {
+        this.cache = new Map();
+        this.budget = budget;
+        this.log = log;
+        this.bytes = 0;
+        this.evicted = new Set();  // Keys dropped for memory, so preloading doesn't bring them straight back
+    }
+
+    // An eighth of device memory (deviceMemory is Chromium-only and reports at most 8 GB), at least 256 MB
+    static defaultBudget() {
+        const gigabytes = globalThis.navigator?.deviceMemory ?? 4;
+        return Math.max(256, gigabytes * 128) * 1024 * 1024;
+    }
+
+    generateKey(quality, { customSettings = null, targetSize = null, colorMode = 'color', threshold = 50, pdfa = null } = {}) {
+        // Gray, mono and PDF/A outputs of the same preset are separate entries
+        const suffix = (colorMode === 'mono' ? `|mono:${threshold}` : colorMode === 'gray' ? '|gray' : '') + (pdfa ? `|pdfa:${pdfa}` : '');
+        if (quality === 'target' && targetSize) return `target:${targetSize}${suffix}`;
+        if (quality !== 'custom' || !customSettings) return `${quality}${suffix}`;
+        const { dpi, jpegQuality, downsampleType, colorResolution, grayResolution, monoResolution } = customSettings;
+        return `custom:${dpi}:${jpegQuality ?? '-'}:${downsampleType}:${colorResolution}:${grayResolution}:${monoResolution}${suffix}`;
+    }
+
+    has(key) { return this.cache.has(key); }
+    
+    // Reading an entry makes it the most recently used
+    get(key) {
+        const entry = this.cache.get(key);
+        if (entry) {
+            this.cache.delete(key);
+            this.cache.set(key, entry);
+        }
+        return entry;
+    }
+
+    wasEvicted(key) { return this.evicted.has(key); }
+    
+    set(key, blob, url) {
+        this.delete(key);
+        this.cache.set(key, { blob, url });
+        this.bytes += blob.size;
+        this.evicted.delete(key);
+        this.evict(key);
+    }
+
+    delete(key) {
+        const entry = this.cache.get(key);
+        if (!entry) return;
+        URL.revokeObjectURL(entry.url);
+        this.bytes -= entry.blob.size;
+        this.cache.delete(key);
+    }
+
+    // Oldest first, keeping the original and the entry just added
+    evict(keep) {
+        for (const key of this.cache.keys()) {
+            if (this.bytes <= this.budget) return;
+            if (key === 'original' || key === keep) continue;
+            this.log(`Preview cache over budget, dropping ${key}`);
+            this.delete(key);
+            this.evicted.add(key);
+        }
+    }
+
+    clear() {
+        this.cache.forEach(({ url }) => URL.revokeObjectURL(url));
+        this.cache.clear();
+        this.bytes = 0;
+        this.evicted.clear();
+    }
+}
+
+// ============================================================================= //
+// RESULT STORE (IndexedDB, survives reloads)
+// ============================================================================= //
+
+// SHA-256 of the content as hex, so a file is recognized whatever it is called
+export async function fileHash(input) {
+    const data = input instanceof Blob ? await input.arrayBuffer() : input;
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Files whose hashes in the asset manifest make up the engine version: the WASM build and the argument builder
+const ENGINE_FILES = ['gs.wasm', 'gs.js', 'gs-engine.js'];
+
+// Ghostscript version plus the hashes of ENGINE_FILES from asset-manifest.json (see build-manifest.js);
+// null when there is no manifest, as in an unbuilt checkout
+export async function engineVersion(manifestUrl = new URL('./asset-manifest.json', import.meta.url)) {
+    try {
+        const response = await fetch(manifestUrl, { cache: 'no-cache' });
+        if (!response.ok) return null;
+        const { components, files } = await response.json();
+        return [`ghostscript-${components.ghostscript}`, ...ENGINE_FILES.map(file => files[file].sha256.slice(0, 12))].join('-');
+    } catch (err) {
+        console.warn('Asset manifest unavailable, results are not stored:', err.message);
+        return null;
+    }
+}
+
+// Key of a stored result: the Ghostscript arguments compress-worker.js runs for the request (see buildArgs), so a
+// changed preset, color handling or argument builder never matches an older output. Takes the same settings as
+// PreviewCache.generateKey; target size searches are keyed by the limit and the arguments around the search.
+export function resultKey(quality, { customSettings = null, targetSize = null, colorMode = 'color', threshold = 50, pdfa = null } = {}) {
+    const engine = new GhostscriptEngine({ log: () => {} });
+    const options = { colorMode, threshold, pdfa };
+    if (quality === 'target') {
+        return ['target', targetSize, ...engine.buildArgs('original', [engine.inputFile], options)].join(' ');
+    }
+    return engine.buildArgs(parseQuality(quality, customSettings), [engine.inputFile], options).join(' ');
+}
+
+// Outputs keyed by input hash and resultKey. Results older than maxAge are dropped, then the least recently
+// used ones until the total fits in maxBytes. The engine version is part of every key, so a new gs.wasm or
+// gs-engine.js never serves outputs of the old one; without a version (version null and no asset manifest)
+// nothing is stored. Inputs above maxFileSize are not stored: hashing them needs the whole file in memory.
+export class ResultStore {
+    constructor({
+        name = 'gs-gpl-utils',
+        version = null,  // Read with engineVersion() on first use
+        maxBytes = 500 * 1024 * 1024,
+        maxAge = 30 * 24 * 60 * 60 * 1000,
+        maxFileSize = 256 * 1024 * 1024
+    } = {}) {
+        this.name = name;
+        this.version = version;
+        this.maxBytes = maxBytes;
+        this.maxAge = maxAge;
+        this.maxFileSize = maxFileSize;
+        this.db = null;
+        this.versionReady = null;
+    }
+
+    // Resolves with the version results are stored under, or null when the store is disabled
+    resolveVersion() {
+        this.versionReady ??= this.version
+            ? Promise.resolve(this.version)
+            : engineVersion().then(version => (this.version = version));
+        return this.versionReady;
+    }
+
+    static get supported() {
+        return typeof indexedDB !== 'undefined' && Boolean(globalThis.crypto?.subtle);
+    }
+
+    open() {
+        this.db ??= new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore('results', { keyPath: 'id' });
+                store.createIndex('hash', 'hash');
+                store.createIndex('used', 'used');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+
+    // Resolves with the result of the request fn returns once the transaction has committed
+    async transaction(mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('results', mode);
+            const request = fn(tx.objectStore('results'));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    id(hash, key) {
+        return `${hash}|${this.version}|${key}`;
+    }
+
+    isExpired(record, now = Date.now()) {
+        return now - record.created > this.maxAge;
+    }
+
+    async get(hash, key) {
+        if (!await this.resolveVersion()) return null;
+        const now = Date.now();
+        const record = await this.transaction('readwrite', (store) => {
+            const request = store.get(this.id(hash, key));
+            request.onsuccess = () => {
+                if (request.result && !this.isExpired(request.result, now)) store.put({ ...request.result, used: now });
+            };
+            return request;
+        });
+        return record && !this.isExpired(record, now) ? record.blob : null;
+    }
+
+    async put(hash, key, blob) {
+        if (blob.size > this.maxBytes || !await this.resolveVersion()) return;
+        const now = Date.now();
+        await this.transaction('readwrite', store => store.put({
+            id: this.id(hash, key), hash, version: this.version, key, blob, size: blob.size, created: now, used: now
+        }));
+        await this.prune();
+    }
+
+    // Walk from the most recently used result down, keeping what fits in maxBytes
+    async prune() {
+        const now = Date.now();
+        let total = 0;
+        await this.transaction('readwrite', (store) => {
+            const request = store.index('used').openCursor(null, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                const record = cursor.value;
+                if (this.isExpired(record, now) || record.version !== this.version || total + record.size > this.maxBytes) {
+                    cursor.delete();
+                } else {
+                    total += record.size;
+                }
+                cursor.continue();
+            };
+        });
+    }
+
+    // { count, bytes } of everything stored
+    async usage() {
+        const records = await this.transaction('readonly', store => store.getAll());
+        return { count: records.length, bytes: records.reduce((sum, record) => sum + record.size, 0) };
+    }
+
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+}
+
+// ============================================================================= //
+// ZIP BUILDER (stored entries, built in the browser)
+// ============================================================================= //
+export class ZipBuilder {
+    constructor() {
+        this.entries = [];
+        this.usedNames = new Set();
+    }
+
+    static crcTable = null;
+
+    static crc32(bytes) {
+        if (!ZipBuilder.crcTable) {
+            ZipBuilder.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                ZipBuilder.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipBuilder.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Avoid duplicate entry names ("a.pdf", "a (2).pdf", ...)
+    uniqueName(name) {
+        let candidate = name;
+        let n = 2;
+        while (this.usedNames.has(candidate)) {
+            const dot = name.lastIndexOf('.');
+            candidate = dot > 0
+                ? `${name.substring(0, dot)} (${n})${name.substring(dot)}`
+                : `${name} (${n})`;
+            n++;
+        }
+        this.usedNames.add(candidate);
+        return candidate;
+    }
+
+    // PDFs are already compressed, so entries are stored without deflate
+    async add(name, blob) {
+        const data = new Uint8Array(await blob.arrayBuffer());
+        this.entries.push({
+            name: new TextEncoder().encode(this.uniqueName(name)),
+            data,
+            crc: ZipBuilder.crc32(data)
+        });
+    }
+
+    dosDateTime(date = new Date()) {
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        return { time, day };
+    }
+
+    build() {
+        const { time, day } = this.dosDateTime();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const { name, data, crc } of this.entries) {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);          // version needed
+            local.setUint16(6, 0x0800, true);      // UTF-8 file names
+            local.setUint16(8, 0, true);           // method: stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local, name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);          // version made by
+            entry.setUint16(6, 20, true);          // version needed
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, day, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);     // local header offset
+            central.push(entry, name);
+
+            offset += 30 + name.length + data.length;
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
+}
+
+// ============================================================================= //
+// IMAGES TO PDF (one image per page, minimal PDF writer)
+// ============================================================================= //
+// Page sizes in points; "fit" pages take the image's shape instead
+export const PAGE_SIZES = {
+    'a4': [595.28, 841.89],
+    'letter': [612, 792]
+};
+
+export const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+/**
+ * Place an image of width x height pixels on a page.
+ * a4/letter pages turn landscape for landscape images; "fit" pages get the image's aspect ratio with the
+ * longer side as long as A4's. The image is scaled to fit inside the margin (mm) and centered.
+ */
+export function layoutImage(width, height, pageSize = 'a4', margin = 0) {
+    const inset = Math.max(Number(margin) || 0, 0) * 72 / 25.4;
+    const landscape = width > height;
+    let pageWidth;
+    let pageHeight;
+
+    if (pageSize === 'fit') {
+        const scale = PAGE_SIZES.a4[1] / Math.max(width, height);
+        pageWidth = width * scale + 2 * inset;
+        pageHeight = height * scale + 2 * inset;
+    } else {
+        const size = PAGE_SIZES[pageSize];
+        if (!size) throw new Error(`Unknown page size "${pageSize}" (expected ${[...Object.keys(PAGE_SIZES), 'fit'].join(', ')})`);
+        [pageWidth, pageHeight] = landscape ? [size[1], size[0]] : size;
+    }
+
+    const availableWidth = pageWidth - 2 * inset;
+    const availableHeight = pageHeight - 2 * inset;
+    if (availableWidth <= 0 || availableHeight <= 0) throw new Error(`Margin of ${margin} mm leaves no room on the page`);
+
+    const scale = Math.min(availableWidth / width, availableHeight / height);
+    return {
+        pageWidth,
+        pageHeight,
+        width: width * scale,
+        height: height * scale,
+        x: (pageWidth - width * scale) / 2,
+        y: (pageHeight - height * scale) / 2
+    };
+}
+
+/**
+ * Decode a JPEG/PNG file, apply its EXIF orientation plus a clockwise rotation and re-encode it for the PDF:
+ * JPEGs stay DCT (quality 0.92), PNGs become lossless Flate RGB with transparency flattened onto white.
+ * Resolves with { width, height, data, filter }. Needs createImageBitmap and OffscreenCanvas.
+ */
+export async function prepareImage(file, rotation = 0) {
+    const bitmap = await createImageBitmap(file);
+    const turns = ((Math.round(rotation / 90) % 4) + 4) % 4;
+    const [width, height] = turns % 2 ? [bitmap.height, bitmap.width] : [bitmap.width, bitmap.height];
+
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate(turns * Math.PI / 2);
+    ctx.drawImage(bitmap, -bitmap.width / 2, -bitmap.height / 2);
+    bitmap.close();
+
+    if (file.type === 'image/jpeg') {
+        const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.92 });
+        return { width, height, data: new Uint8Array(await blob.arrayBuffer()), filter: 'DCTDecode' };
+    }
+
+    const { data: rgba } = ctx.getImageData(0, 0, width, height);
+    const rgb = new Uint8Array(width * height * 3);
+    for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+        rgb[j] = rgba[i];
+        rgb[j + 1] = rgba[i + 1];
+        rgb[j + 2] = rgba[i + 2];
+    }
+    // "deflate" is the zlib format FlateDecode expects
+    const deflated = new Blob([rgb]).stream().pipeThrough(new CompressionStream('deflate'));
+    return { width, height, data: new Uint8Array(await new Response(deflated).arrayBuffer()), filter: 'FlateDecode' };
+}
+
+export class ImagePDFBuilder {
+    constructor() {
+        // Object bodies numbered from 1; 1 and 2 are the catalog and page tree, written by build()
+        this.objects = [null, null];
+        this.pageIds = [];
+    }
+
+    addObject(dict, stream = null) {
+        const encoder = new TextEncoder();
+        this.objects.push(stream
+            ? [encoder.encode(`${dict}\nstream\n`), stream, encoder.encode('\nendstream')]
+            : [encoder.encode(dict)]);
+        return this.objects.length;
+    }
+
+    // image: { width, height, data, filter } from prepareImage; layout: from layoutImage
+    addPage(image, { pageWidth, pageHeight, x, y, width, height }) {
+        const n = (value) => Number(value.toFixed(2));
+        const imageId = this.addObject(
+            `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB` +
+            ` /BitsPerComponent 8 /Filter /${image.filter} /Length ${image.data.length} >>`,
+            image.data
+        );
+        const content = new TextEncoder().encode(`q ${n(width)} 0 0 ${n(height)} ${n(x)} ${n(y)} cm /Im0 Do Q`);
+        const contentId = this.addObject(`<< /Length ${content.length} >>`, content);
+        this.pageIds.push(this.addObject(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(pageWidth)} ${n(pageHeight)}]` +
+            ` /Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`
+        ));
+    }
+
+    build() {
+        const encoder = new TextEncoder();
+        this.objects[0] = [encoder.encode('<< /Type /Catalog /Pages 2 0 R >>')];
+        this.objects[1] = [encoder.encode(
+            `<< /Type /Pages /Kids [${this.pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${this.pageIds.length} >>`
+        )];
+
+        // Binary comment after the header marks the file as binary for transfer tools
+        const parts = [encoder.encode('%PDF-1.4\n'), new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])];
+        let offset = 15;
+        const offsets = [];
+
+        this.objects.forEach((body, i) => {
+            offsets.push(offset);
+            const object = [encoder.encode(`${i + 1} 0 obj\n`), ...body, encoder.encode('\nendobj\n')];
+            parts.push(...object);
+            offset += object.reduce((sum, part) => sum + part.length, 0);
+        });
+
+        // Cross-reference entries are exactly 20 bytes each
+        const xref = `xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n` +
+            offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('') +
+            `trailer\n<< /Size ${this.objects.length + 1} /Root 1 0 R >>\nstartxref\n${offset}\n%%EOF\n`;
+        parts.push(encoder.encode(xref));
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+}
+
+// ============================================================================= //
+// PUBLIC API
+// ============================================================================= //
+let defaultWorker = null;
+
+// Cancel the job when signal aborts
+function withSignal(handle, signal) {
+    if (signal?.aborted) handle.cancel();
+    else signal?.addEventListener('abort', () => handle.cancel(), { once: true });
+    return handle;
+}
+
+function createStats({ originalSize, compressedSize, settings = null, attempts = [], report = null, warnings = [] }) {
+    const savedBytes = originalSize - compressedSize;
+    return {
+        originalSize,
+        compressedSize,
+        savedBytes,
+        savedPercent: originalSize ? Math.round(savedBytes / originalSize * 1000) / 10 : 0,
+        settings,
+        attempts,
+        report,
+        warnings
+    };
+}
+
+/**
+ * Compress a PDF in a background Ghostscript worker.
+ * @param {ArrayBuffer|Uint8Array|Blob} input - PDF bytes; Blobs and Files are read in the worker, not on the main thread
+ * @param {object} [options]
+ * @param {string} [options.quality='medium'] - low | medium | fair | good | high | original | custom
+ * @param {object} [options.customSettings] - { dpi, jpegQuality, downsampleType, colorResolution, grayResolution, monoResolution } for "custom"
+ * @param {number} [options.targetSize] - Byte limit; searches for the best quality that fits instead of using a preset
+ * @param {CompressionWorker} [options.worker] - Worker to queue on (a shared one is created otherwise)
+ * @param {Function} [options.onAttempt] - Called with { dpi, jpegQuality, size, fits } during a target-size search
+ * @param {Array<{ page: number, rotation: number }>} [options.pages] - Output page order and clockwise rotation; omitted pages are dropped
+ * @param {string} [options.colorMode='color'] - color | gray | mono
+ * @param {number} [options.threshold=50] - Mono cut-off in percent; darker pixels become black
+ * @param {string} [options.pdfa] - Write PDF/A-2b; drop | revert | abort decides what happens to content PDF/A does not allow.
+ *   stats.report then holds { conforms, issues: [{ level, text }] }; "abort" rejects with code PDFA_ABORTED
+ * @param {string} [options.password] - Opens an encrypted input; the output is decrypted unless encrypt is set
+ * @param {object} [options.encrypt] - { userPassword, ownerPassword, permissions } to protect the output; permissions lists
+ *   the allowed actions (print, modify, copy, annotate, fillForms, accessibility, assemble, printHighQuality)
+ * @param {object} [options.metadata] - { info: { Title, Author, Subject, Keywords, ... }, scrub } - info values replace the
+ *   document's; scrub also empties the other info entries and drops XMP metadata, dates and the file ID
+ * @param {AbortSignal} [options.signal] - Cancels the job; the promise then rejects with code CANCELLED
+ * @param {Function} [options.onProgress] - Called with { page, pages, percent, elapsed } after every page Ghostscript
+ *   finishes; pages and percent are null when the page count is unknown, elapsed is in ms since the job started
+ * @param {boolean} [options.priority=false] - Queue ahead of background jobs waiting for a free worker
+ * @returns {Promise<{ buffer: ArrayBuffer, stats: object }>} stats.warnings lists problems Ghostscript repaired
+ * @throws {Error} With code (e.g. PASSWORD_REQUIRED, PASSWORD_INCORRECT, OUT_OF_MEMORY), errors [{ code, message, detail }] and the raw Ghostscript log
+ */
+export async function compressPDF(input, {
+    quality = 'medium',
+    customSettings = null,
+    targetSize = null,
+    worker = null,
+    onAttempt = null,
+    pages = null,
+    colorMode = 'color',
+    threshold = 50,
+    pdfa = null,
+    password = null,
+    encrypt = null,
+    metadata = null,
+    signal = null,
+    onProgress = null,
+    priority = false
+} = {}) {
+    const runner = (worker ?? (defaultWorker ??= new CompressionWorker())).init();
+    const options = { pages, colorMode, threshold, pdfa, password, encrypt, metadata, onProgress, priority };
+
+    const result = await withSignal(targetSize
+        ? runner.compressToSize(input, targetSize, onAttempt, options)
+        : runner.compress(input, quality, customSettings, options), signal);
+
+    return { buffer: result.buffer, stats: createStats(result) };
+}
+
+/**
+ * Merge PDFs into one document, in array order.
+ * @param {Array<ArrayBuffer|Uint8Array|Blob>} inputs - PDF bytes
+ * @param {object} [options]
+ * @param {string} [options.quality='original'] - Preset to downsample the merged result with
+ * @param {object} [options.customSettings] - Settings for the "custom" quality
+ * @param {Array<string|null>} [options.passwords] - Password of each encrypted input, in input order (null for the others)
+ * @param {CompressionWorker} [options.worker] - Worker to queue on (a shared one is created otherwise)
+ * @param {AbortSignal} [options.signal] - Cancels the job (see compressPDF)
+ * @param {Function} [options.onProgress] - Page progress over all inputs (see compressPDF)
+ * @returns {Promise<{ buffer: ArrayBuffer, stats: object }>}
+ */
+export async function mergePDFs(inputs, {
+    quality = 'original',
+    customSettings = null,
+    passwords = null,
+    worker = null,
+    signal = null,
+    onProgress = null
+} = {}) {
+    const runner = (worker ?? (defaultWorker ??= new CompressionWorker())).init();
+    const result = await withSignal(runner.merge(inputs, quality, customSettings, { passwords, onProgress }), signal);
+    return { buffer: result.buffer, stats: createStats(result) };
+}
+
+// Image export formats (rendered by RASTER_FORMATS in gs-engine.js); tiff is CCITT G4, all pages in one file
+export const IMAGE_FORMATS = {
+    'png': { extension: 'png', type: 'image/png' },
+    'jpeg': { extension: 'jpg', type: 'image/jpeg' },
+    'tiff': { extension: 'tif', type: 'image/tiff', multipage: true }
+};
+
+/**
+ * Extract pages into one or more PDFs.
+ * @param {ArrayBuffer|Uint8Array|Blob} input - PDF bytes
+ * @param {string[]} pageLists - One page list ("1,3-5") per output file, see planSplit
+ * @param {object} [options]
+ * @param {string} [options.quality='original'] - Preset to downsample each part with
+ * @param {object} [options.customSettings] - Settings for the "custom" quality
+ * @param {string} [options.password] - Opens an encrypted input
+ * @param {CompressionWorker} [options.worker] - Worker to queue on (a shared one is created otherwise)
+ * @param {AbortSignal} [options.signal] - Cancels the job (see compressPDF)
+ * @param {Function} [options.onProgress] - Page progress of the part being written (see compressPDF)
+ * @returns {Promise<{ buffers: ArrayBuffer[], stats: object }>}
+ */
+export async function splitPDF(input, pageLists, {
+    quality = 'original',
+    customSettings = null,
+    password = null,
+    worker = null,
+    signal = null,
+    onProgress = null
+} = {}) {
+    const runner = (worker ?? (defaultWorker ??= new CompressionWorker())).init();
+    const result = await withSignal(runner.split(input, pageLists, quality, customSettings, { password, onProgress }), signal);
+    return { buffers: result.buffers, stats: createStats(result) };
+}
+
+/**
+ * Assemble JPEG/PNG images into one PDF, one image per page in array order (see layoutImage for page sizes).
+ * The result can go straight into compressPDF.
+ * @param {Array<Blob|{ file: Blob, rotation: number }>} images - Image files, optionally with a clockwise rotation in degrees
+ * @param {object} [options]
+ * @param {string} [options.pageSize='a4'] - a4 | letter | fit
+ * @param {number} [options.margin=0] - Margin around each image in mm
+ * @returns {Promise<Blob>}
+ */
+export async function imagesToPDF(images, { pageSize = 'a4', margin = 0 } = {}) {
+    if (!images.length) throw new Error('No images selected');
+
+    const builder = new ImagePDFBuilder();
+    for (const entry of images) {
+        const { file, rotation = 0 } = entry instanceof Blob ? { file: entry } : entry;
+        if (!IMAGE_TYPES.includes(file.type)) throw new Error(`${file.name ?? 'Image'} is not a JPEG or PNG file`);
+
+        const image = await prepareImage(file, rotation);
+        builder.addPage(image, layoutImage(image.width, image.height, pageSize, margin));
+    }
+    return builder.build();
+}
+
+// Browsers report .ps/.eps files under several MIME types, or none, so the extension counts too
+export function isPostScript(file) {
+    return ['application/postscript', 'application/eps', 'image/eps', 'image/x-eps'].includes(file.type)
+        || /\.(ps|eps|epsf)$/i.test(file.name ?? '');
+}
+
+/**
+ * Convert PostScript or EPS to PDF. EPS pages are cropped to the bounding box.
+ * @param {ArrayBuffer|Uint8Array|Blob} input - PostScript bytes
+ * @param {object} [options]
+ * @param {CompressionWorker} [options.worker] - Worker to queue on (a shared one is created otherwise)
+ * @param {AbortSignal} [options.signal] - Cancels the job (see compressPDF)
+ * @param {Function} [options.onProgress] - Page progress (see compressPDF); plain PostScript reports no page count
+ * @returns {Promise<{ buffer: ArrayBuffer, stats: object }>}
+ * @throws {Error} With code and errors like compressPDF
+ */
+export async function convertPostScript(input, { worker = null, signal = null, onProgress = null } = {}) {
+    const runner = (worker ?? (defaultWorker ??= new CompressionWorker())).init();
+    const result = await withSignal(runner.convert(input, { onProgress }), signal);
+    return { buffer: result.buffer, stats: createStats(result) };
+}
+
+/**
+ * Render PDF pages to images.
+ * @param {ArrayBuffer|Uint8Array|Blob} input - PDF bytes
+ * @param {object} [options]
+ * @param {string} [options.format='png'] - png | jpeg | tiff (see IMAGE_FORMATS)
+ * @param {number} [options.dpi=150] - Resolution, 36-600
+ * @param {string} [options.pageList] - Pages to render ("1,3-5,10-"); all pages otherwise
+ * @param {number} [options.jpegQuality=85] - JPEG quality, 1-100
+ * @param {string} [options.password] - Opens an encrypted input
+ * @param {CompressionWorker} [options.worker] - Worker to queue on (a shared one is created otherwise)
+ * @param {AbortSignal} [options.signal] - Cancels the job (see compressPDF)
+ * @param {Function} [options.onProgress] - Page progress (see compressPDF)
+ * @returns {Promise<{ buffers: ArrayBuffer[], stats: object }>} One image per rendered page in order, or a single
+ *   multi-page file for tiff
+ * @throws {Error} With code and errors like compressPDF
+ */
+export async function rasterizePDF(input, {
+    format = 'png',
+    dpi = 150,
+    pageList = null,
+    jpegQuality = 85,
+    password = null,
+    worker = null,
+    signal = null,
+    onProgress = null
+} = {}) {
+    const runner = (worker ?? (defaultWorker ??= new CompressionWorker())).init();
+    const result = await withSignal(runner.rasterize(input, format, { dpi, pageList, jpegQuality, password, onProgress }), signal);
+    return { buffers: result.buffers, stats: createStats(result) };
+}
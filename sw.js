@@ -1,69 +1,190 @@
-// Service Worker for caching ONLY the large WASM file
-const CACHE_NAME = 'ghostscript-wasm-v2';
-const WASM_FILES = [
-  './gs.wasm',    // 14MB - This is what we want to cache
-  './gs.js'       // 184KB - Essential companion file
-];
-
-// Install event - cache the WASM files
+// Service Worker: precaches the whole app shell so the tool works offline
+// Files and their SHA-256 hashes come from asset-manifest.json; run `node build-manifest.js` after changing any of them.
+// index.html registers sw.js?v=<manifest version>, so every build installs as a new worker with its own cache.
+// A checkout without a manifest registers plain sw.js, which caches what the page loads as it goes.
+const MANIFEST_VERSION = new URL(self.location.href).searchParams.get('v') ?? 'unbuilt';
+const BUILT = MANIFEST_VERSION !== 'unbuilt';
+const MANIFEST_URL = new URL('./asset-manifest.json', self.location).href;
+const CACHE_PREFIX = 'gs-gpl-utils-';
+const CACHE_NAME = `${CACHE_PREFIX}${MANIFEST_VERSION}`;
+// Caches from before the app shell was precached (WASM only)
+const LEGACY_CACHES = ['ghostscript-wasm-v1', 'ghostscript-wasm-v2'];
+const SCOPE_URL = new URL('./', self.location).href;
+
+// Absolute URL -> { sha256, size }, filled from the manifest on install or on first use after a restart
+let assets = null;
+// URLs whose cached copy already matched its hash since this worker started
+const verified = new Set();
+
+// Install event - download and verify every file; activation waits for the page (see SKIP_WAITING)
 self.addEventListener('install', (event) => {
-  console.log('Service Worker: Installing...');
-  event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => {
-        console.log('Service Worker: Caching WASM files');
-        return cache.addAll(WASM_FILES);
-      })
-      .then(() => self.skipWaiting())
-  );
+  console.log(`Service Worker: Installing ${MANIFEST_VERSION}...`);
+  if (BUILT) event.waitUntil(precache());
 });
 
-// Activate event - clean up old caches
+// Activate event - clean up our old caches (other apps on the same origin keep theirs)
 self.addEventListener('activate', (event) => {
-  console.log('Service Worker: Activating...');
+  console.log(`Service Worker: Activating ${MANIFEST_VERSION}...`);
   event.waitUntil(
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames.map((cache) => {
-          if (cache !== CACHE_NAME) {
+          const ours = cache.startsWith(CACHE_PREFIX) || LEGACY_CACHES.includes(cache);
+          if (ours && cache !== CACHE_NAME) {
             console.log('Service Worker: Deleting old cache:', cache);
             return caches.delete(cache);
           }
         })
       );
-    })
+    }).then(() => self.clients.claim())
   );
-  return self.clients.claim();
 });
 
-// Fetch event - serve from cache first with optimized headers
+// The update prompt in index.html asks the waiting worker to take over
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    console.log('Service Worker: Activating update on request');
+    self.skipWaiting();
+  } else if (event.data?.type === 'GET_VERSION') {
+    event.source?.postMessage({ type: 'VERSION', version: MANIFEST_VERSION });
+  }
+});
+
+// Fetch event - app shell from the verified cache, everything else straight to the network; the manifest comes
+// from the cache too, so the page can read the engine version offline (see engineVersion in pdfcore.js).
+// asset-manifest.json?latest is what index.html registers the worker with: the server's, or ours when offline.
 self.addEventListener('fetch', (event) => {
+  if (event.request.method !== 'GET') return;
+
   const url = new URL(event.request.url);
-  const isWasmFile = WASM_FILES.some(file => url.pathname.includes(file.replace('./', '')));
-
-  if (isWasmFile) {
-    event.respondWith(
-      caches.match(event.request).then((cached) => {
-        if (cached) {
-          console.log('Service Worker: Serving from cache:', event.request.url);
-          return withOptimalHeaders(cached, url.pathname);
-        }
-
-        console.log('Service Worker: Fetching from network:', event.request.url);
-        return fetch(event.request).then((response) => {
-          if (!response || response.status !== 200 || response.type === 'error') {
-            return response;
-          }
+  const latest = url.searchParams.has('latest');
+  url.search = '';   // pdfapi.js?v=3 is the cached pdfapi.js
+  url.hash = '';
+  if (url.origin !== self.location.origin) return;
 
-          const optimized = withOptimalHeaders(response.clone(), url.pathname);
-          caches.open(CACHE_NAME).then((cache) => cache.put(event.request, optimized.clone()));
-          return optimized;
-        });
-      })
-    );
+  const key = url.href === SCOPE_URL ? new URL('index.html', SCOPE_URL).href : url.href;
+  if (!BUILT) {
+    event.respondWith(runtimeResponse(event.request, key));
+    return;
   }
+
+  event.respondWith(
+    loadAssets().then((loaded) => {
+      if (key === MANIFEST_URL) {
+        return latest ? fetch(event.request).catch(() => cachedManifest(event.request)) : cachedManifest(event.request);
+      }
+      return loaded.has(key) ? verifiedResponse(key, loaded.get(key)) : fetch(event.request);
+    })
+  );
 });
 
+async function precache() {
+  const manifest = await fetchManifest();
+  const cache = await caches.open(CACHE_NAME);
+  assets = manifestAssets(manifest);
+
+  for (const [url, entry] of assets) {
+    // Unchanged files are taken from the previous cache instead of downloaded again (gs.wasm is 14MB)
+    const previous = await caches.match(url);
+    const response = previous && await matches(previous.clone(), entry)
+      ? previous
+      : await download(url, entry);
+    await cache.put(url, response);
+  }
+
+  await cache.put(MANIFEST_URL, new Response(JSON.stringify(manifest), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+  console.log(`Service Worker: Cached ${assets.size} verified files (Ghostscript ${manifest.components.ghostscript})`);
+}
+
+// The manifest must belong to this sw.js; a stale or newer one means the deploy is incomplete
+async function fetchManifest() {
+  const response = await fetch(MANIFEST_URL, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Asset manifest unavailable (${response.status}); run node build-manifest.js`);
+  }
+  const manifest = await response.json();
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Asset manifest ${manifest.version} does not match service worker ${MANIFEST_VERSION}`);
+  }
+  return manifest;
+}
+
+function manifestAssets(manifest) {
+  return new Map(Object.entries(manifest.files).map(([file, entry]) => [new URL(file, SCOPE_URL).href, entry]));
+}
+
+// After a restart the worker reads the manifest back from its own cache
+async function loadAssets() {
+  if (assets) return assets;
+  const cached = await caches.open(CACHE_NAME).then((cache) => cache.match(MANIFEST_URL));
+  if (!cached) return new Map();
+  assets = manifestAssets(await cached.json());
+  return assets;
+}
+
+async function cachedManifest(request) {
+  const cached = await caches.open(CACHE_NAME).then((cache) => cache.match(MANIFEST_URL));
+  return cached || fetch(request);
+}
+
+// Without a manifest there is nothing to verify against: network first, the last good copy when offline
+async function runtimeResponse(request, key) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(key, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function sha256(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function matches(response, entry) {
+  const buffer = await response.arrayBuffer();
+  return buffer.byteLength === entry.size && await sha256(buffer) === entry.sha256;
+}
+
+// Revalidated first, then straight from the server past any HTTP cache that holds an older copy
+async function download(url, entry) {
+  for (const mode of ['no-cache', 'reload']) {
+    const response = await fetch(url, { cache: mode });
+    if (response.ok && await matches(response.clone(), entry)) return response;
+    console.log(`Service Worker: Hash mismatch for ${url} (${mode}), status ${response.status}`);
+  }
+  throw new Error(`Integrity check failed for ${url}`);
+}
+
+// Cached copies are checked once per worker start; a corrupted one is downloaded again
+async function verifiedResponse(url, entry) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(url);
+  if (cached && (verified.has(url) || await matches(cached.clone(), entry))) {
+    verified.add(url);
+    return withOptimalHeaders(cached, new URL(url).pathname);
+  }
+
+  console.log('Service Worker: Re-downloading', url, cached ? '(hash mismatch)' : '(not cached)');
+  try {
+    const response = await download(url, entry);
+    await cache.put(url, response.clone());
+    verified.add(url);
+    return withOptimalHeaders(response, new URL(url).pathname);
+  } catch (err) {
+    // The server has moved on to files a newer worker will verify; serve them uncached until it takes over
+    console.log('Service Worker:', err.message);
+    return fetch(url);
+  }
+}
+
 // Set optimal headers for faster loading
 function withOptimalHeaders(response, pathname) {
   const headers = new Headers(response.headers);
@@ -72,6 +193,8 @@ function withOptimalHeaders(response, pathname) {
     headers.set('Content-Type', 'application/wasm');
   } else if (pathname.endsWith('.js')) {
     headers.set('Content-Type', 'application/javascript');
+  } else if (pathname.endsWith('.webmanifest')) {
+    headers.set('Content-Type', 'application/manifest+json');
   }
   return new Response(response.body, {
     status: response.status,
@@ -0,0 +1,12 @@
+// index.html in jsdom (its scripts are not run), exposed through the globals pdfapi.js uses
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+const { window } = new JSDOM(html, { url: 'http://localhost/' });
+
+for (const name of ['window', 'document', 'navigator', 'HTMLElement', 'Node', 'alert']) {
+    Object.defineProperty(globalThis, name, { value: name === 'window' ? window : window[name], configurable: true, writable: true });
+}
+
+export { window };
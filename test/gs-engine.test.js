@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHUNK_SIZE, GhostscriptEngine, PageProgress, diagnose, permissionFlags } from '../gs-engine.js';
+
+const engine = new GhostscriptEngine({ log: () => {} });
+
+test('a page list keeps only those pages', () => {
+    assert.ok(engine.buildArgs('original', ['in.pdf'], { pageList: '1,3-5' }).includes('-sPageList=1,3-5'));
+    assert.ok(!engine.buildArgs('original').some(arg => arg.startsWith('-sPageList')));
+});
+
+test('PDF/A output is PDF 1.7 with the chosen compatibility policy', () => {
+    const args = engine.buildArgs('original', ['in.pdf'], { pdfa: 'revert' });
+    assert.ok(args.includes('-dCompatibilityLevel=1.7'));
+    assert.ok(args.includes('-dPDFA=2'));
+    assert.ok(args.includes('-dPDFACompatibilityPolicy=0'));
+    assert.ok(args.includes('-sColorConversionStrategy=RGB'));
+
+    const gray = engine.buildArgs('original', ['in.pdf'], { pdfa: 'unknown', colorMode: 'gray' });
+    assert.ok(gray.includes('-dPDFACompatibilityPolicy=1'));
+    assert.ok(gray.includes('-sColorConversionStrategy=Gray'));
+    assert.ok(!gray.includes('-sColorConversionStrategy=RGB'));
+
+    assert.ok(engine.buildArgs('original').includes('-dCompatibilityLevel=1.4'));
+    assert.ok(!engine.buildArgs('original').includes('-dPDFA=2'));
+});
+
+test('a target size search reports the messages and warnings of its best attempt', async () => {
+    const search = new GhostscriptEngine({ log: () => {} });
+    // No Ghostscript module; output bytes grow with the DPI of the attempt
+    search.init = async () => search;
+    search.compress = (input, settings) => {
+        search.messages = [{ stream: 'stdout', text: `${settings.dpi} dpi` }];
+        search.warnings = [{ code: `DPI_${settings.dpi}` }];
+        return new Uint8Array(settings.dpi);
+    };
+
+    const result = await search.compressToSize(new Uint8Array(1000), 140);
+    assert.deepEqual(result.attempts.map(({ dpi, fits }) => [dpi, fits]), [[130, true], [200, false], [150, false]]);
+    assert.equal(result.settings.dpi, 130);
+    assert.deepEqual(result.messages, [{ stream: 'stdout', text: '130 dpi' }]);
+    assert.deepEqual(result.warnings, [{ code: 'DPI_130' }]);
+});
+
+test('diagnose reports each known problem once with the line that showed it', () => {
+    const messages = [
+        'GPL Ghostscript 10.06.0: This file requires a password for access.',
+        '   **** Error:  An error occurred while reading an XREF table.',
+        '   **** Error:  An error occurred while reading an XREF table.',
+        '   **** Warning: an object was',
+        '      repaired or ignored.',
+        'Loading font Helvetica (or substitute) from %rom%Resource/Font/NimbusSans-Regular',
+        'Page 1'
+    ].map(text => ({ stream: 'stderr', text }));
+
+    assert.deepEqual(diagnose(messages).map(({ code, fatal, detail }) => ({ code, fatal, detail })), [
+        { code: 'PASSWORD_REQUIRED', fatal: true, detail: 'This file requires a password for access.' },
+        { code: 'DAMAGED_XREF', fatal: false, detail: 'Error:  An error occurred while reading an XREF table.' },
+        { code: 'DAMAGED_FILE', fatal: false, detail: 'Warning: an object was repaired or ignored.' }
+    ]);
+    assert.deepEqual(diagnose([{ stream: 'stdout', text: 'Page 1' }]), []);
+});
+
+test('permission flags set the bits of the allowed permissions only', () => {
+    assert.equal(permissionFlags(), -3904);
+    assert.equal(permissionFlags(['print', 'copy']), -3904 | 4 | 16);
+    assert.equal(permissionFlags(['print', 'print']), -3904 | 4);
+    assert.throws(() => permissionFlags(['delete']), /Unknown permission "delete"/);
+});
+
+test('encrypted output always has an owner password', () => {
+    const args = engine.buildArgs('original', ['in.pdf'], { encrypt: { userPassword: 'open', permissions: ['print'] } });
+    assert.match(args.find(arg => arg.startsWith('-sOwnerPassword=')), /^-sOwnerPassword=[0-9a-f]{32}$/);
+    assert.ok(args.includes('-sUserPassword=open'));
+    assert.ok(args.includes('-dEncryptionR=3'));
+    assert.ok(args.includes('-dKeyLength=128'));
+    assert.ok(args.includes(`-dPermissions=${permissionFlags(['print'])}`));
+
+    const owner = engine.buildArgs('original', ['in.pdf'], { encrypt: { ownerPassword: 'admin' } });
+    assert.ok(owner.includes('-sOwnerPassword=admin'));
+    assert.ok(!owner.some(arg => arg.startsWith('-sUserPassword=')));
+
+    assert.throws(() => engine.buildArgs('original', ['in.pdf'], { encrypt: {} }), /needs a user or owner password/);
+    assert.throws(() => engine.buildArgs('original', ['in.pdf'], { encrypt: { userPassword: 'open' }, pdfa: 'drop' }), /PDF\/A/);
+});
+
+test('each input is opened with its own password', () => {
+    const args = engine.buildArgs('original', ['a.pdf', 'b.pdf', 'c.pdf'], { passwords: ['one', null, 'three'] });
+    assert.deepEqual(args.slice(args.indexOf('-sPDFPassword=one')), ['-sPDFPassword=one', 'a.pdf', 'b.pdf', '-sPDFPassword=three', 'c.pdf']);
+    assert.ok(engine.buildArgs('original', ['a.pdf'], { password: 'one' }).includes('-sPDFPassword=one'));
+});
+
+test('a metadata scrub clears the info keys and omits what the output allows', () => {
+    const scrub = (options) => engine.buildArgs('original', ['in.pdf'], { metadata: { scrub: true }, ...options });
+    const args = scrub();
+    assert.ok(args.includes('-dOmitXMP'));
+    assert.ok(args.includes('-dOmitInfoDate'));
+    assert.ok(args.includes('-dOmitID'));
+    // The pdfmark follows the input, so it replaces the info read from it
+    assert.equal(args.at(-2), '-c');
+    assert.match(args.at(-1), /^\[ \/Title \(\) \/Author \(\) .*\/DOCINFO pdfmark$/);
+    assert.ok(args.indexOf('in.pdf') < args.length - 2);
+
+    const encrypted = scrub({ encrypt: { ownerPassword: 'admin' } });
+    assert.ok(encrypted.includes('-dOmitXMP'));
+    assert.ok(!encrypted.includes('-dOmitID'));
+
+    const pdfa = scrub({ pdfa: 'drop' });
+    assert.ok(!pdfa.some(arg => arg.startsWith('-dOmit')));
+});
+
+test('page progress follows the Processing pages and Page lines', () => {
+    const single = new PageProgress();
+    assert.equal(single.update('Processing pages 1 through 4.'), null);
+    assert.equal(single.update('Loading font Helvetica'), null);
+    assert.deepEqual(single.update('Page 1'), { page: 1, pages: 4, percent: 25 });
+    assert.deepEqual(single.update(' Page 2 '), { page: 2, pages: 4, percent: 50 });
+
+    // Every input of a merge weighs the same until all page counts are known
+    const merge = new PageProgress({ documents: 2 });
+    merge.update('Processing pages 1 through 2.');
+    assert.deepEqual(merge.update('Page 1'), { page: 1, pages: null, percent: 25 });
+    assert.deepEqual(merge.update('Page 2'), { page: 2, pages: null, percent: 50 });
+    merge.update('Processing pages 1,3-4.');
+    assert.deepEqual(merge.update('Page 1'), { page: 3, pages: 5, percent: 67 });
+
+    const open = new PageProgress();
+    open.update('Processing pages 10-.');
+    assert.deepEqual(open.update('Page 10'), { page: 1, pages: null, percent: null });
+
+    const edited = new PageProgress({ pages: 3 });
+    assert.deepEqual(edited.update('Page 1'), { page: 1, pages: 3, percent: 33 });
+});
+
+// Stands in for the Ghostscript module: MEMFS as a Map, callMain prints the next line of output
+function fakeModule(engine, printed) {
+    const files = new Map();
+    const writes = [];
+    return {
+        files,
+        writes,
+        FS: {
+            writeFile: (name, data) => { writes.push(name); files.set(name, data); },
+            readFile: () => new Uint8Array(1),
+            unlink: (name) => { if (!files.delete(name)) throw new Error(`ENOENT ${name}`); },
+            readdir: () => []
+        },
+        callMain: () => {
+            const text = printed.shift();
+            if (text) engine.capture('stderr', text);
+            return 0;
+        }
+    };
+}
+
+test('chunks of one input share its MEMFS copy and report the warnings of every pass', async () => {
+    const chunked = new GhostscriptEngine({ log: () => {} });
+    const module = fakeModule(chunked, [
+        '   **** Error:  An error occurred while reading an XREF table.',
+        '   **** Warning: an object was repaired or ignored.'
+    ]);
+    chunked.module = module;
+    chunked.compressionCount = 0;
+
+    await chunked.compressChunked(new Uint8Array(CHUNK_SIZE + 1), 'original', {}, 2);
+    assert.deepEqual(module.writes.filter(name => name === chunked.inputFile), [chunked.inputFile]);
+    assert.deepEqual([...module.files.keys()], []);
+    assert.deepEqual(chunked.warnings.map(warning => warning.code), ['DAMAGED_XREF', 'DAMAGED_FILE']);
+});
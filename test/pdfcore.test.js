@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZipBuilder, parsePageList, planSplit, layoutImage, PAGE_SIZES } from '../pdfcore.js';
+
+test('zip entries are stored with their CRC and unique names', async () => {
+    const zip = new ZipBuilder();
+    await zip.add('a.pdf', new Blob(['hello']));
+    await zip.add('a.pdf', new Blob(['world!']));
+    await zip.add('notes', new Blob([]));
+    await zip.add('notes', new Blob([]));
+
+    const bytes = new Uint8Array(await zip.build().arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    const decoder = new TextDecoder();
+
+    const entries = [];
+    let offset = 0;
+    while (view.getUint32(offset, true) === 0x04034B50) {
+        const crc = view.getUint32(offset + 14, true);
+        const size = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        const name = decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+        const data = decoder.decode(bytes.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size));
+        entries.push({ name, crc, data });
+        offset += 30 + nameLength + size;
+    }
+
+    assert.deepEqual(entries, [
+        { name: 'a.pdf', crc: 0x3610A686, data: 'hello' },
+        { name: 'a (2).pdf', crc: ZipBuilder.crc32(new TextEncoder().encode('world!')), data: 'world!' },
+        { name: 'notes', crc: 0, data: '' },
+        { name: 'notes (2)', crc: 0, data: '' }
+    ]);
+
+    // The end record counts every entry and points at the central directory right after the local entries
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054B50);
+    assert.equal(view.getUint16(end + 10, true), 4);
+    assert.equal(view.getUint32(end + 16, true), offset);
+    assert.equal(view.getUint32(offset, true), 0x02014B50);
+});
+
+test('page lists parse into ranges', () => {
+    assert.deepEqual(parsePageList('1, 3-5,10-', 12), [[1, 1], [3, 5], [10, 12]]);
+    assert.deepEqual(parsePageList('-2', 4), [[1, 2]]);
+    assert.throws(() => parsePageList('2-1', 4), /outside 1-4/);
+    assert.throws(() => parsePageList('5', 4), /outside 1-4/);
+    assert.throws(() => parsePageList('a', 4), /Invalid page range "a"/);
+    assert.throws(() => parsePageList(' , ', 4), /No pages selected/);
+});
+
+test('split plans give one page list per output file', () => {
+    assert.deepEqual(planSplit({ pages: '1-2,4', numPages: 5 }), ['1-2,4']);
+    assert.deepEqual(planSplit({ pages: '1-2,4', separate: true, numPages: 5 }), ['1-2', '4']);
+    assert.deepEqual(planSplit({ mode: 'every', every: 2, numPages: 5 }), ['1-2', '3-4', '5']);
+    assert.deepEqual(planSplit({ mode: 'every', every: 0, numPages: 2 }), ['1', '2']);
+    assert.deepEqual(planSplit({ mode: 'single', numPages: 3 }), ['1', '2', '3']);
+});
+
+// Points compared to a thousandth, past floating-point rounding
+function assertLayout(actual, expected) {
+    for (const [key, value] of Object.entries(expected)) {
+        assert.ok(Math.abs(actual[key] - value) < 1e-3, `${key}: ${actual[key]} != ${value}`);
+    }
+}
+
+test('images are scaled into the page margin and centered', () => {
+    const [a4Width, a4Height] = PAGE_SIZES.a4;
+    const width = a4Height / 2;
+    assertLayout(layoutImage(100, 200, 'a4'), {
+        pageWidth: a4Width, pageHeight: a4Height, width, height: a4Height, x: (a4Width - width) / 2, y: 0
+    });
+
+    // Landscape images turn the page; a 10 mm margin is 10 * 72 / 25.4 points on every side
+    const inset = 10 * 72 / 25.4;
+    assertLayout(layoutImage(400, 100, 'letter', 10), {
+        pageWidth: 792, pageHeight: 612, width: 792 - 2 * inset, height: (792 - 2 * inset) / 4, x: inset
+    });
+
+    assertLayout(layoutImage(300, 150, 'fit', 10), {
+        pageWidth: a4Height + 2 * inset, pageHeight: a4Height / 2 + 2 * inset, width: a4Height, height: a4Height / 2, x: inset, y: inset
+    });
+
+    assert.throws(() => layoutImage(100, 100, 'a3'), /Unknown page size "a3"/);
+    assert.throws(() => layoutImage(100, 100, 'a4', 200), /leaves no room/);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './dom.js';
+
+const { PDFCompressor } = await import('../pdfapi.js');
+const { resultKey } = await import('../pdfcore.js');
+
+const QUALITIES = ['low', 'medium', 'fair', 'good', 'high'];
+
+function isLocked(quality) {
+    return document.querySelector(`[data-quality="${quality}"]`).classList.contains('quality-locked');
+}
+
+// A compressor with a file open and a stored result for every preset; nothing reaches a worker or PDF.js
+function openCompressor() {
+    const compressor = new PDFCompressor();
+    const file = new File(['%PDF-1.4'], 'stored.pdf', { type: 'application/pdf' });
+    const blob = new Blob(['%PDF-1.4 compressed'], { type: 'application/pdf' });
+    compressor.file = file;
+    compressor.renderer = { load: async () => 1 };
+    compressor.metrics = { has: () => false, measure: () => {}, resetResults: () => {} };
+    compressor.worker.init = () => assert.fail('no preset should be queued');
+    compressor.hashFor = async () => 'hash';
+    const stored = new Set(['color', 'gray'].flatMap(colorMode => QUALITIES.map(quality => resultKey(quality, { colorMode }))));
+    compressor.store = { get: async (hash, key) => stored.has(key) ? blob : null };
+    compressor.cache.set('original', file, 'blob:original');
+    return { compressor, file };
+}
+
+test('restoring a fully stored file leaves every preset selectable', async () => {
+    const { compressor, file } = openCompressor();
+    compressor.ui.lockAllQualities();
+
+    await compressor.restoreResults(file);
+    await compressor.preloadAllQualities();
+
+    for (const quality of QUALITIES) assert.equal(isLocked(quality), false, quality);
+});
+
+test('switching to a fully cached color mode unlocks every preset', { timeout: 5000 }, async () => {
+    const { compressor, file } = openCompressor();
+    compressor.quality = 'low';
+    await compressor.restoreResults(file);
+
+    // The cached preview is shown first, then the presets are checked
+    const preloadAllQualities = compressor.preloadAllQualities;
+    const preloaded = new Promise(resolve => {
+        compressor.preloadAllQualities = function () {
+            const preload = preloadAllQualities.call(this);
+            resolve(preload);
+            return preload;
+        };
+    });
+
+    document.querySelector('input[name="colorMode"][value="gray"]').checked = true;
+    compressor.setColorMode();
+    assert.ok(QUALITIES.every(isLocked));
+    await preloaded;
+
+    for (const quality of QUALITIES) assert.equal(isLocked(quality), false, quality);
+});
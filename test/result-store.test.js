@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResultStore, engineVersion, resultKey } from '../pdfcore.js';
+
+const manifestUrl = (manifest) => `data:application/json,${encodeURIComponent(JSON.stringify(manifest))}`;
+
+test('result keys follow the Ghostscript arguments', () => {
+    const keys = [
+        resultKey('low'),
+        resultKey('high'),
+        resultKey('low', { colorMode: 'gray' }),
+        resultKey('low', { colorMode: 'mono', threshold: 40 }),
+        resultKey('low', { colorMode: 'mono', threshold: 60 }),
+        resultKey('custom', { customSettings: { dpi: 150, jpegQuality: 50 } }),
+        resultKey('custom', { customSettings: { dpi: 150, jpegQuality: 70 } }),
+        resultKey('target', { targetSize: 1000000 }),
+        resultKey('target', { targetSize: 2000000 })
+    ];
+    assert.equal(new Set(keys).size, keys.length);
+    assert.equal(resultKey('low'), resultKey('low', { customSettings: { dpi: 300 } }));
+    assert.match(resultKey('low'), /-r100 /);
+});
+
+test('the engine version comes from the asset manifest', async () => {
+    const files = { 'gs.wasm': 'a', 'gs.js': 'b', 'gs-engine.js': 'c' };
+    const manifest = {
+        components: { ghostscript: '10.06.0' },
+        files: Object.fromEntries(Object.entries(files).map(([file, digit]) => [file, { sha256: digit.repeat(64) }]))
+    };
+    assert.equal(await engineVersion(manifestUrl(manifest)), `ghostscript-10.06.0-${'a'.repeat(12)}-${'b'.repeat(12)}-${'c'.repeat(12)}`);
+
+    manifest.files['gs-engine.js'].sha256 = 'd'.repeat(64);
+    assert.notEqual(await engineVersion(manifestUrl(manifest)), `ghostscript-10.06.0-${'a'.repeat(12)}-${'b'.repeat(12)}-${'c'.repeat(12)}`);
+});
+
+test('without an asset manifest nothing is stored', async () => {
+    assert.equal(await engineVersion('http://127.0.0.1:9/asset-manifest.json'), null);
+
+    // Node has no IndexedDB: reaching it would throw
+    const store = new ResultStore();
+    await store.put('hash', resultKey('low'), new Blob(['%PDF']));
+    assert.equal(await store.get('hash', resultKey('low')), null);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './dom.js';
+import { CompressionWorker } from '../pdfcore.js';
+
+const { MergeTool, SplitTool } = await import('../pdfapi.js');
+
+function passwordError(password) {
+    return Object.assign(new Error('No password given'), { name: 'PasswordException', code: password ? 2 : 1 });
+}
+
+// Resolves with the file name once the tool's password form is shown
+async function prompt(prefix) {
+    const panel = document.getElementById(`${prefix}PasswordPanel`);
+    for (let i = 0; i < 100 && panel.classList.contains('hidden'); i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.equal(panel.classList.contains('hidden'), false, 'password prompt not shown');
+    return {
+        fileName: document.getElementById(`${prefix}PasswordFileName`).textContent,
+        incorrect: !document.getElementById(`${prefix}PasswordError`).classList.contains('hidden')
+    };
+}
+
+function answer(prefix, password) {
+    if (password === null) {
+        document.getElementById(`${prefix}PasswordCancelBtn`).click();
+        return;
+    }
+    document.getElementById(`${prefix}PasswordInput`).value = password;
+    document.getElementById(`${prefix}PasswordPanel`).dispatchEvent(new window.Event('submit', { cancelable: true }));
+}
+
+// Stands in for CompressionWorker: records the options of every job
+function recordingWorker(jobs) {
+    const done = { buffer: new ArrayBuffer(1), buffers: [new ArrayBuffer(1)], originalSize: 1, compressedSize: 1 };
+    return {
+        init() { return this; },
+        reset() {},
+        merge: async (inputs, quality, customSettings, options) => { jobs.push({ inputs, options }); return done; },
+        split: async (input, pageLists, quality, customSettings, options) => { jobs.push({ input, options }); return done; }
+    };
+}
+
+test('split asks for the password until PDF.js accepts it and passes it to Ghostscript', { timeout: 5000 }, async () => {
+    const tool = new SplitTool(new CompressionWorker());
+    tool.bindEvents();
+    tool.renderer = {
+        password: null,
+        clear() {},
+        async load() {
+            if (this.password !== 'secret') throw passwordError(this.password);
+            return 3;
+        }
+    };
+    const jobs = [];
+    tool.worker = recordingWorker(jobs);
+
+    const loading = tool.load(new File(['%PDF-1.4'], 'locked.pdf', { type: 'application/pdf' }));
+    assert.deepEqual(await prompt('split'), { fileName: 'locked.pdf', incorrect: false });
+    answer('split', 'wrong');
+    assert.deepEqual(await prompt('split'), { fileName: 'locked.pdf', incorrect: true });
+    answer('split', 'secret');
+    await loading;
+
+    assert.equal(tool.numPages, 3);
+    tool.getPlan = () => ['1-3'];
+    await tool.split();
+    assert.equal(jobs[0].options.password, 'secret');
+});
+
+test('merge asks for each encrypted file and leaves out cancelled ones', { timeout: 5000 }, async () => {
+    const passwords = { 'locked.pdf': 'one' };
+    globalThis.pdfjsLib = {
+        getDocument({ url, password }) {
+            const name = document.querySelector(`[data-url="${url}"]`)?.dataset.name;
+            const needed = name === 'open.pdf' ? undefined : passwords[name] ?? 'unknown';
+            const promise = password === needed
+                ? Promise.resolve({ numPages: 2, getPage: () => Promise.reject(new Error('no canvas')), destroy: async () => {} })
+                : Promise.reject(passwordError(password));
+            return { promise };
+        }
+    };
+
+    const tool = new MergeTool(new CompressionWorker());
+    tool.bindEvents();
+    const jobs = [];
+    tool.worker = recordingWorker(jobs);
+
+    // Object URLs are mapped back to file names for the PDF.js stub
+    const createObjectURL = URL.createObjectURL;
+    URL.createObjectURL = (file) => {
+        const url = createObjectURL(file);
+        const marker = document.createElement('i');
+        Object.assign(marker.dataset, { url, name: file.name });
+        document.body.appendChild(marker);
+        return url;
+    };
+    const files = ['open.pdf', 'locked.pdf', 'skipped.pdf'].map(name => new File(['%PDF-1.4'], name, { type: 'application/pdf' }));
+    try {
+        tool.addFiles(files);
+        assert.deepEqual(await prompt('merge'), { fileName: 'locked.pdf', incorrect: false });
+        answer('merge', 'one');
+        assert.deepEqual(await prompt('merge'), { fileName: 'skipped.pdf', incorrect: false });
+        answer('merge', null);
+        await tool.merge();
+    } finally {
+        URL.createObjectURL = createObjectURL;
+        delete globalThis.pdfjsLib;
+    }
+
+    assert.deepEqual(tool.items.map(item => item.file.name), ['open.pdf', 'locked.pdf']);
+    assert.deepEqual(jobs[0].options.passwords, [null, 'one']);
+});
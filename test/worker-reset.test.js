@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CompressionWorker, CompressionEvents, WorkerSession, isCancelled } from '../pdfcore.js';
+
+// Stands in for compress-worker.js: accepts jobs and never answers
+class SilentWorker {
+    static terminated = 0;
+    postMessage() {}
+    terminate() { SilentWorker.terminated++; }
+}
+globalThis.Worker = SilentWorker;
+
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (err) {
+        return err;
+    }
+    assert.fail('job should have been rejected');
+}
+
+test('reset() rejects running and queued jobs with CANCELLED', { timeout: 5000 }, async () => {
+    const worker = new CompressionWorker(undefined, { poolSize: 1 });
+    const cancelled = [];
+    worker.addEventListener(CompressionEvents.CANCEL, (e) => cancelled.push(e.jobId));
+
+    const input = new Uint8Array([1]);
+    const running = worker.split(input, ['1']);
+    const queued = worker.rasterize(input, 'png');
+    const merge = worker.merge([input, input]);
+    assert.ok(worker.isRunning(running.jobId));
+    assert.equal(worker.queue.length, 2);
+
+    worker.reset();
+
+    for (const job of [running, queued, merge]) {
+        assert.ok(isCancelled(await rejection(job)));
+    }
+    assert.deepEqual(cancelled.sort(), [running.jobId, queued.jobId, merge.jobId].sort());
+    assert.equal(SilentWorker.terminated, 1);
+    assert.equal(worker.isProcessing, false);
+    assert.equal(worker.pendingRequests.size, 0);
+    assert.equal(worker.queue.length, 0);
+});
+
+test('the pool takes new jobs after reset()', { timeout: 5000 }, async () => {
+    const worker = new CompressionWorker(undefined, { poolSize: 1 });
+    const first = worker.compress(new Uint8Array([1]), 'low');
+    worker.reset();
+    await rejection(first);
+
+    const next = worker.compress(new Uint8Array([1]), 'low');
+    assert.ok(worker.isRunning(next.jobId));
+    worker.reset();
+    await rejection(next);
+});
+
+test('a session on a shared pool only stops and reports its own jobs', { timeout: 5000 }, async () => {
+    const pool = new CompressionWorker(undefined, { poolSize: 1 });
+    const merge = new WorkerSession(pool);
+    const split = new WorkerSession(pool);
+    const reported = [];
+    split.addEventListener(CompressionEvents.CANCEL, (e) => reported.push(e.jobId));
+
+    const input = new Uint8Array([1]);
+    const merging = merge.init().merge([input, input]);
+    const splitting = split.split(input, ['1']);
+    assert.equal(pool.slots.length, 1);
+
+    split.reset();
+    assert.ok(isCancelled(await rejection(splitting)));
+    assert.deepEqual(reported, [splitting.jobId]);
+    assert.ok(pool.isRunning(merging.jobId));
+    assert.equal(split.cancel(merging.jobId), false);
+
+    merge.reset();
+    assert.ok(isCancelled(await rejection(merging)));
+});